@@ -0,0 +1,79 @@
+'use client';
+
+export interface ColumnStatsSummary {
+  nulls: number;
+  distinct: number;
+  distinctCapped: boolean; // Distinct values are only counted up to a limit
+  conflicts: number;
+  maxLength: number; // Longest text value in characters, 0 without text values
+}
+
+export interface ColumnSummary extends ColumnStatsSummary {
+  name: string;
+  type: string;
+  kind: string;
+}
+
+export interface TableSummary {
+  name: string;
+  rows: number; // Rows inserted by this conversion, which the statistics cover
+  storedRows: number; // Rows in the table, including earlier files or an existing database
+  columns: ColumnSummary[];
+}
+
+export const formatPercent = (part: number, total: number): string => {
+  if (total === 0) return '0%';
+  return `${Math.round((part / total) * 1000) / 10}%`;
+};
+
+export const formatDistinct = (stats: ColumnStatsSummary): string => {
+  return `${stats.distinct.toLocaleString()}${stats.distinctCapped ? '+' : ''}`;
+};
+
+export const formatMaxLength = (stats: ColumnStatsSummary): string => {
+  return stats.maxLength > 0 ? stats.maxLength.toLocaleString() : '-';
+};
+
+export default function ColumnStats({ tables }: { tables: TableSummary[] }) {
+  return (
+    <div className="text-left space-y-3">
+      {tables.filter(table => table.columns.length > 0).map(table => (
+        <details key={table.name} open={tables.length === 1} className="bg-white rounded-lg border border-gray-200 p-4">
+          <summary className="font-semibold cursor-pointer">
+            {table.name} <span className="text-gray-600 font-normal">({table.rows.toLocaleString()} rows, {table.columns.length} columns)</span>
+          </summary>
+          <div className="overflow-x-auto mt-3">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-2 pr-2">Column</th>
+                  <th className="py-2 pr-2">Type</th>
+                  <th className="py-2 pr-2">Detected</th>
+                  <th className="py-2 pr-2">Nulls</th>
+                  <th className="py-2 pr-2">Distinct</th>
+                  <th className="py-2 pr-2">Max Length</th>
+                  <th className="py-2">Conflicts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {table.columns.map(col => (
+                  <tr key={col.name} className="border-b border-gray-100">
+                    <td className="py-1 pr-2 font-mono">{col.name}</td>
+                    <td className="py-1 pr-2">{col.type}</td>
+                    <td className="py-1 pr-2 text-gray-600">{col.kind}</td>
+                    <td className="py-1 pr-2">{formatPercent(col.nulls, table.rows)}</td>
+                    <td className="py-1 pr-2">{formatDistinct(col)}</td>
+                    <td className="py-1 pr-2">{formatMaxLength(col)}</td>
+                    <td className={`py-1 ${col.conflicts > 0 ? 'text-yellow-600 font-semibold' : ''}`}>
+                      {col.conflicts.toLocaleString()}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+}
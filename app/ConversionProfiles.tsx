@@ -0,0 +1,158 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { Download, Link, Save, Trash2, Upload } from 'lucide-react';
+import { ConversionProfile } from './profiles';
+
+interface ConversionProfilesProps {
+  profiles: ConversionProfile[];
+  active: ConversionProfile | null;
+  suggestion: ConversionProfile | null; // A saved profile whose file pattern matches the chosen file
+  suggestedFor: string;
+  onSelect: (profile: ConversionProfile | null) => void;
+  onSave: (name: string, filePattern: string) => void;
+  onDelete: (profile: ConversionProfile) => void;
+  onImport: (file: File) => void;
+  onExport: () => void;
+  onCopyLink: (name: string, filePattern: string) => void;
+  onDismissSuggestion: () => void;
+}
+
+export default function ConversionProfiles({
+  profiles,
+  active,
+  suggestion,
+  suggestedFor,
+  onSelect,
+  onSave,
+  onDelete,
+  onImport,
+  onExport,
+  onCopyLink,
+  onDismissSuggestion
+}: ConversionProfilesProps) {
+  const [name, setName] = useState(active?.name ?? '');
+  const [filePattern, setFilePattern] = useState(active?.filePattern ?? '');
+  const importInputRef = useRef<HTMLInputElement>(null);
+
+  // Saving again under the selected profile's name updates it
+  useEffect(() => {
+    setName(active?.name ?? '');
+    setFilePattern(active?.filePattern ?? '');
+  }, [active]);
+
+  const saved = active ? profiles.find(profile => profile.name === active.name) : undefined;
+
+  const importProfiles = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="mb-5 p-4 bg-white rounded-lg border border-gray-200">
+      <h3 className="font-semibold mb-2">Conversion Profile</h3>
+
+      {suggestion && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-3 p-3 bg-blue-50 border border-blue-200 rounded text-sm">
+          <span>
+            Profile <strong>{suggestion.name}</strong> matches <span className="font-mono">{suggestedFor}</span>
+            {' '}(<span className="font-mono">{suggestion.filePattern}</span>)
+          </span>
+          <div className="flex gap-2 sm:ml-auto">
+            <button
+              onClick={() => onSelect(suggestion)}
+              className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+            >
+              Apply
+            </button>
+            <button
+              onClick={onDismissSuggestion}
+              className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300"
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-2 mb-2">
+        <select
+          value={saved?.name ?? ''}
+          onChange={(e) => onSelect(profiles.find(profile => profile.name === e.target.value) ?? null)}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="">{active && !saved ? `${active.name} (from link, not saved)` : 'Default options'}</option>
+          {profiles.map(profile => (
+            <option key={profile.name} value={profile.name}>{profile.name}</option>
+          ))}
+        </select>
+        {saved && (
+          <button
+            onClick={() => onDelete(saved)}
+            className="inline-flex items-center justify-center gap-1 px-3 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600"
+            aria-label={`Delete profile ${saved.name}`}
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          placeholder="Profile name"
+        />
+        <input
+          type="text"
+          value={filePattern}
+          onChange={(e) => setFilePattern(e.target.value)}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono"
+          placeholder="File pattern, e.g. orders-*.json"
+        />
+        <button
+          onClick={() => onSave(name.trim(), filePattern.trim())}
+          disabled={!name.trim()}
+          className="inline-flex items-center justify-center gap-1 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" /> Save
+        </button>
+      </div>
+      <small className="text-gray-600">
+        Saves the options below, plus the schema and index choices of the last reviewed run. Files matching the pattern suggest the profile
+      </small>
+
+      <div className="flex flex-wrap gap-2 mt-3 text-sm">
+        <button
+          onClick={() => onCopyLink(name.trim(), filePattern.trim())}
+          className="inline-flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700"
+        >
+          <Link className="w-4 h-4" /> Copy Link
+        </button>
+        <button
+          onClick={onExport}
+          disabled={profiles.length === 0}
+          className="inline-flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" /> Export Profiles
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="inline-flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700"
+        >
+          <Upload className="w-4 h-4" /> Import Profiles
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={importProfiles}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Shuffle, Rows } from 'lucide-react';
+import { formatPercent } from './ColumnStats';
+
+export type Cell = string | number | Uint8Array | null;
+
+export interface PreviewColumn {
+  name: string;
+  type: string;
+  kind?: string;
+  nulls: number;
+}
+
+interface DataPreviewProps {
+  worker: Worker | null;
+  table: string;
+  columns: PreviewColumn[];
+  totalRows: number;
+  // Rows streamed during conversion; once complete the grid pages through the table instead
+  liveRows: Cell[][];
+  complete: boolean;
+}
+
+const ROW_HEIGHT = 28;
+const VIEW_HEIGHT = 400;
+const COLUMN_WIDTH = 160;
+const PAGE_ROWS = 200;
+const SAMPLE_ROWS = 100;
+// Browsers cap element heights, so very long tables scroll a scaled-down spacer
+const MAX_SCROLL_HEIGHT = 10_000_000;
+
+export const formatCell = (cell: Cell | undefined): string => {
+  if (cell === null || cell === undefined) return 'NULL';
+  if (cell instanceof Uint8Array) return `[BLOB ${cell.byteLength} bytes]`;
+  return String(cell);
+};
+
+export default function DataPreview({ worker, table, columns, totalRows, liveRows, complete }: DataPreviewProps) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [pages, setPages] = useState<Map<number, Cell[][]>>(new Map());
+  const [sample, setSample] = useState<Cell[][] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const pendingPagesRef = useRef<Set<number>>(new Set());
+  const nextIdRef = useRef(0);
+  const viewportRef = useRef<HTMLDivElement>(null);
+
+  const remote = complete && !sample;
+  const rowCount = sample ? sample.length : complete ? totalRows : liveRows.length;
+
+  const requestRows = useCallback((params: { offset?: number; limit: number; random?: boolean }) => {
+    return new Promise<Cell[][]>((resolve, reject) => {
+      if (!worker) {
+        reject(new Error('Worker is not available'));
+        return;
+      }
+      const id = ++nextIdRef.current;
+      const rowsHandler = (event: MessageEvent) => {
+        const { type, data } = event.data;
+        if (type !== 'rowsResult' || data.id !== id) return;
+        worker.removeEventListener('message', rowsHandler);
+        if (data.error) reject(new Error(data.error));
+        else resolve(data.rows);
+      };
+      worker.addEventListener('message', rowsHandler);
+      worker.postMessage({ type: 'rows', data: { id, table, ...params } });
+    });
+  }, [worker, table]);
+
+  const scrollToTop = () => {
+    if (viewportRef.current) viewportRef.current.scrollTop = 0;
+    setScrollTop(0);
+  };
+
+  // Start over when switching tables or once the conversion completes
+  useEffect(() => {
+    setPages(new Map());
+    setSample(null);
+    setError(null);
+    pendingPagesRef.current = new Set();
+    scrollToTop();
+  }, [table, complete]);
+
+  const totalHeight = rowCount * ROW_HEIGHT;
+  const spacerHeight = Math.min(totalHeight, MAX_SCROLL_HEIGHT);
+  // Map the scrollable range of the spacer onto the full virtual height
+  const scale = spacerHeight > VIEW_HEIGHT ? (totalHeight - VIEW_HEIGHT) / (spacerHeight - VIEW_HEIGHT) : 1;
+  const virtualTop = scrollTop * scale;
+  const firstRow = Math.floor(virtualTop / ROW_HEIGHT);
+  const visibleCount = Math.ceil(VIEW_HEIGHT / ROW_HEIGHT) + 1;
+  const lastRow = Math.min(rowCount, firstRow + visibleCount);
+
+  // Fetch the pages covering the visible window
+  useEffect(() => {
+    if (!remote || rowCount === 0) return;
+    const firstPage = Math.floor(firstRow / PAGE_ROWS);
+    const lastPage = Math.floor(Math.max(firstRow, lastRow - 1) / PAGE_ROWS);
+
+    for (let page = firstPage; page <= lastPage; page++) {
+      if (pages.has(page) || pendingPagesRef.current.has(page)) continue;
+      pendingPagesRef.current.add(page);
+      requestRows({ offset: page * PAGE_ROWS, limit: PAGE_ROWS })
+        .then(rows => setPages(prev => new Map(prev).set(page, rows)))
+        .catch(err => setError((err as Error).message))
+        .finally(() => pendingPagesRef.current.delete(page));
+    }
+  }, [remote, rowCount, firstRow, lastRow, pages, requestRows]);
+
+  const getRow = (index: number): Cell[] | undefined => {
+    if (sample) return sample[index];
+    if (!complete) return liveRows[index];
+    return pages.get(Math.floor(index / PAGE_ROWS))?.[index % PAGE_ROWS];
+  };
+
+  const loadSample = async () => {
+    try {
+      setSample(await requestRows({ limit: SAMPLE_ROWS, random: true }));
+      scrollToTop();
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  const showRows = () => {
+    setSample(null);
+    scrollToTop();
+  };
+
+  const visibleRows = [];
+  for (let i = firstRow; i < lastRow; i++) {
+    visibleRows.push({ index: i, row: getRow(i) });
+  }
+  const gridWidth = (columns.length + 1) * COLUMN_WIDTH;
+
+  return (
+    <div className="text-left mb-5">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-3">
+        <h3 className="text-xl font-bold">
+          Preview: <span className="font-mono">{table}</span>
+        </h3>
+        <span className="text-sm text-gray-600">
+          {sample
+            ? `Random sample of ${sample.length.toLocaleString()} rows`
+            : complete
+              ? `${totalRows.toLocaleString()} rows`
+              : `First ${liveRows.length.toLocaleString()} of ${totalRows.toLocaleString()} rows inserted`}
+        </span>
+        <div className="flex gap-2 sm:ml-auto">
+          {sample ? (
+            <button
+              onClick={showRows}
+              className="inline-flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded text-sm hover:bg-gray-700"
+            >
+              <Rows className="w-4 h-4" /> {complete ? 'All Rows' : 'First Rows'}
+            </button>
+          ) : (
+            <button
+              onClick={loadSample}
+              disabled={totalRows === 0}
+              className="inline-flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded text-sm hover:bg-gray-700 disabled:opacity-50"
+            >
+              <Shuffle className="w-4 h-4" /> Random Sample
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="mb-2 text-red-600 text-sm">{error}</p>}
+
+      <div
+        ref={viewportRef}
+        className="overflow-auto bg-white border border-gray-200 rounded-lg text-sm"
+        style={{ height: VIEW_HEIGHT + ROW_HEIGHT * 2 }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div style={{ width: gridWidth }}>
+          <div className="flex sticky top-0 z-10 bg-gray-100 border-b border-gray-200" style={{ height: ROW_HEIGHT * 2 }}>
+            <div className="shrink-0 px-3 py-1 text-gray-500" style={{ width: COLUMN_WIDTH }}>#</div>
+            {columns.map(col => (
+              <div key={col.name} className="shrink-0 px-3 py-1" style={{ width: COLUMN_WIDTH }} title={col.kind}>
+                <div className="font-semibold truncate">{col.name}</div>
+                <div className="text-xs text-gray-500 truncate">
+                  {col.type} · {formatPercent(col.nulls, totalRows)} null
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="relative" style={{ height: spacerHeight }}>
+            <div
+              className="absolute left-0"
+              style={{ top: scrollTop + (firstRow * ROW_HEIGHT - virtualTop) }}
+            >
+              {visibleRows.map(({ index, row }) => (
+                <div key={index} className="flex border-b border-gray-100" style={{ height: ROW_HEIGHT }}>
+                  <div className="shrink-0 px-3 py-1 text-gray-400" style={{ width: COLUMN_WIDTH }}>
+                    {(index + 1).toLocaleString()}
+                  </div>
+                  {columns.map((col, c) => {
+                    const cell = row?.[c];
+                    return (
+                      <div
+                        key={col.name}
+                        className={`shrink-0 px-3 py-1 font-mono truncate ${cell === null || cell === undefined ? 'text-gray-400' : ''}`}
+                        style={{ width: COLUMN_WIDTH }}
+                        title={row ? formatCell(cell) : undefined}
+                      >
+                        {row ? formatCell(cell) : '…'}
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+'use client';
+
+import { Ban, CheckCircle2, Clock, Loader2, XCircle } from 'lucide-react';
+import { displayName, FileStatus, QueuedFile } from './files';
+
+const STATUS_ICONS: Record<FileStatus, JSX.Element> = {
+  pending: <Clock className="w-4 h-4 text-gray-400" />,
+  processing: <Loader2 className="w-4 h-4 text-blue-500 animate-spin" />,
+  done: <CheckCircle2 className="w-4 h-4 text-green-500" />,
+  error: <XCircle className="w-4 h-4 text-red-500" />,
+  cancelled: <Ban className="w-4 h-4 text-gray-500" />
+};
+
+const statusText = (entry: QueuedFile): string => {
+  switch (entry.status) {
+    case 'pending': return 'Queued';
+    case 'processing': return 'Processing...';
+    case 'done': return `${entry.rows.toLocaleString()} rows`;
+    case 'error': return 'Failed';
+    case 'cancelled': return entry.rows > 0 ? `Cancelled (${entry.rows.toLocaleString()} rows kept)` : 'Cancelled';
+  }
+};
+
+export default function FileQueue({ files }: { files: QueuedFile[] }) {
+  return (
+    <ul className="mb-5 text-left text-sm bg-white border border-gray-200 rounded-lg divide-y divide-gray-100">
+      {files.map((entry, i) => (
+        <li key={i} className="flex items-center gap-2 px-4 py-2">
+          {STATUS_ICONS[entry.status]}
+          <span className="font-mono truncate">{displayName(entry)}</span>
+          <span className="text-gray-500 whitespace-nowrap">→ {entry.tableName}</span>
+          <span className="ml-auto whitespace-nowrap text-gray-600">{statusText(entry)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
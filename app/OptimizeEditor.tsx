@@ -0,0 +1,203 @@
+'use client';
+
+import { useState } from 'react';
+import { Check, SkipForward } from 'lucide-react';
+
+export interface OptimizeColumn {
+  name: string;
+  type: string;
+  indexed: boolean; // Already leads an index or is the rowid alias
+  suggestIndex: boolean; // Most sampled values were distinct
+  suggestFullText: boolean; // Sampled values were long text
+}
+
+export interface OptimizeTable {
+  name: string;
+  rows: number;
+  primaryKey: string[]; // Declared primary key columns, empty for a plain rowid table
+  columns: OptimizeColumn[];
+}
+
+export interface OptimizePlan {
+  tables: {
+    name: string;
+    primaryKey: string | null; // Column to rebuild the table around, null keeps the rowid
+    indexes: string[];
+    fullText: string[];
+  }[];
+  analyze: boolean;
+  vacuum: boolean;
+}
+
+interface OptimizeEditorProps {
+  tables: OptimizeTable[];
+  initial?: OptimizePlan | null; // Choices saved in a conversion profile, used instead of the suggestions
+  onApply: (plan: OptimizePlan | null) => void;
+}
+
+interface TableChoice {
+  primaryKey: string;
+  indexes: Set<string>;
+  fullText: Set<string>;
+}
+
+const isTextColumn = (column: OptimizeColumn) => /CHAR|CLOB|TEXT/i.test(column.type);
+
+const toggle = (values: Set<string>, value: string, on: boolean): Set<string> => {
+  const next = new Set(values);
+  if (on) next.add(value);
+  else next.delete(value);
+  return next;
+};
+
+export default function OptimizeEditor({ tables, initial, onApply }: OptimizeEditorProps) {
+  // Suggestions start out selected, unless a profile has choices for the table;
+  // saved columns the table no longer has are left out
+  const [choices, setChoices] = useState<TableChoice[]>(() => tables.map(table => {
+    const saved = initial?.tables.find(choice => choice.name === table.name);
+    if (saved) {
+      const has = (name: string | null, fits: (col: OptimizeColumn) => boolean) => table.columns.some(col => col.name === name && fits(col));
+      return {
+        primaryKey: table.primaryKey.length === 0 && has(saved.primaryKey, () => true) ? saved.primaryKey ?? '' : '',
+        indexes: new Set(saved.indexes.filter(name => has(name, col => !col.indexed))),
+        fullText: new Set(saved.fullText.filter(name => has(name, isTextColumn)))
+      };
+    }
+    return {
+      primaryKey: '',
+      indexes: new Set(table.columns.filter(col => col.suggestIndex && !col.indexed).map(col => col.name)),
+      fullText: new Set(table.columns.filter(col => col.suggestFullText && isTextColumn(col)).map(col => col.name))
+    };
+  }));
+  const [analyze, setAnalyze] = useState(initial?.analyze ?? true);
+  const [vacuum, setVacuum] = useState(initial?.vacuum ?? true);
+
+  const updateChoice = (index: number, changes: Partial<TableChoice>) => {
+    setChoices(prev => prev.map((choice, i) => (i === index ? { ...choice, ...changes } : choice)));
+  };
+
+  const applyPlan = () => {
+    onApply({
+      tables: tables.map((table, i) => ({
+        name: table.name,
+        primaryKey: choices[i].primaryKey || null,
+        indexes: Array.from(choices[i].indexes),
+        fullText: Array.from(choices[i].fullText)
+      })),
+      analyze,
+      vacuum
+    });
+  };
+
+  return (
+    <div className="mb-5 p-5 bg-gray-50 rounded-lg border border-gray-200 text-left">
+      <h3 className="text-xl font-bold mb-1">Optimize Database</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        All rows are loaded. Choose keys and indexes to build before the database is exported; suggested columns are preselected.
+      </p>
+
+      {tables.map((table, t) => (
+        <div key={table.name} className="mb-5">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-2">
+            <h4 className="font-semibold font-mono">{table.name}</h4>
+            <span className="text-sm text-gray-600">{table.rows.toLocaleString()} rows</span>
+            <label className="sm:ml-auto text-sm flex items-center gap-2">
+              Primary key:
+              {table.primaryKey.length > 0 ? (
+                <span className="font-mono">{table.primaryKey.join(', ')}</span>
+              ) : (
+                <select
+                  value={choices[t].primaryKey}
+                  onChange={(e) => updateChoice(t, { primaryKey: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded font-mono"
+                >
+                  <option value="">rowid</option>
+                  {table.columns.map(col => (
+                    <option key={col.name} value={col.name}>{col.name}</option>
+                  ))}
+                </select>
+              )}
+            </label>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-2 pr-2">Column</th>
+                  <th className="py-2 pr-2">Type</th>
+                  <th className="py-2 pr-2">Index</th>
+                  <th className="py-2">Full-Text</th>
+                </tr>
+              </thead>
+              <tbody>
+                {table.columns.map(col => (
+                  <tr key={col.name} className="border-b border-gray-100">
+                    <td className="py-1 pr-2 font-mono">
+                      {col.name}
+                      {(col.suggestIndex || col.suggestFullText) && (
+                        <span className="ml-2 text-xs text-blue-600">suggested</span>
+                      )}
+                    </td>
+                    <td className="py-1 pr-2 text-gray-600">{col.type}</td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="checkbox"
+                        checked={col.indexed || choices[t].indexes.has(col.name)}
+                        disabled={col.indexed}
+                        title={col.indexed ? 'Already indexed' : undefined}
+                        onChange={(e) => updateChoice(t, { indexes: toggle(choices[t].indexes, col.name, e.target.checked) })}
+                      />
+                    </td>
+                    <td className="py-1">
+                      {isTextColumn(col) && (
+                        <input
+                          type="checkbox"
+                          checked={choices[t].fullText.has(col.name)}
+                          onChange={(e) => updateChoice(t, { fullText: toggle(choices[t].fullText, col.name, e.target.checked) })}
+                        />
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {choices[t].fullText.size > 0 && (
+            <small className="text-gray-600">
+              Searchable as <code>{table.name}_fts</code>, e.g. <code>{`SELECT * FROM "${table.name}" WHERE rowid IN (SELECT rowid FROM "${table.name}_fts" WHERE "${table.name}_fts" MATCH 'word')`}</code>
+            </small>
+          )}
+        </div>
+      ))}
+
+      <div className="flex flex-col sm:flex-row gap-4 mb-4 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={analyze} onChange={(e) => setAnalyze(e.target.checked)} className="w-4 h-4" />
+          Run ANALYZE (query planner statistics)
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={vacuum} onChange={(e) => setVacuum(e.target.checked)} className="w-4 h-4" />
+          Run VACUUM (compact the file)
+        </label>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          onClick={applyPlan}
+          className="inline-flex items-center justify-center gap-2 px-6 py-2 bg-blue-500 text-white rounded-lg font-semibold hover:bg-blue-600"
+        >
+          <Check className="w-4 h-4" />
+          Optimize and Finish
+        </button>
+        <button
+          onClick={() => onApply(null)}
+          className="inline-flex items-center justify-center gap-2 px-6 py-2 bg-gray-600 text-white rounded-lg font-semibold hover:bg-gray-700"
+        >
+          <SkipForward className="w-4 h-4" />
+          Skip
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+'use client';
+
+import { useMemo, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight, Download, Play } from 'lucide-react';
+import { downloadBlob } from './download';
+import { Cell, formatCell } from './DataPreview';
+
+interface QueryResult {
+  columns: string[];
+  rows: Cell[][];
+  truncated: boolean; // The worker stops after a fixed number of rows
+  statements: number;
+  rowsModified: number;
+  time: number;
+}
+
+interface QueryConsoleProps {
+  worker: Worker | null;
+  tables: string[];
+}
+
+const PAGE_SIZE = 50;
+const HISTORY_LIMIT = 20;
+
+const selectAll = (table: string): string => `SELECT * FROM "${table.replace(/"/g, '""')}" LIMIT 100;`;
+
+const compareCells = (a: Cell, b: Cell): number => {
+  // NULLs sort first, as in SQLite
+  if (a === null || b === null) return a === b ? 0 : a === null ? -1 : 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return formatCell(a).localeCompare(formatCell(b));
+};
+
+const toCsv = (columns: string[], rows: Cell[][]): string => {
+  const escape = (value: string) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const lines = [columns.map(escape).join(',')];
+  for (const row of rows) {
+    lines.push(row.map(cell => (cell === null ? '' : escape(formatCell(cell)))).join(','));
+  }
+  return lines.join('\r\n');
+};
+
+const toJson = (columns: string[], rows: Cell[][]): string => {
+  const records = rows.map(row => Object.fromEntries(
+    row.map((cell, i) => [columns[i], cell instanceof Uint8Array ? Array.from(cell) : cell])
+  ));
+  return JSON.stringify(records, null, 2);
+};
+
+export default function QueryConsole({ worker, tables }: QueryConsoleProps) {
+  const [sql, setSql] = useState(tables.length > 0 ? selectAll(tables[0]) : '');
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState<QueryResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [history, setHistory] = useState<string[]>([]);
+  const [page, setPage] = useState(0);
+  const [sort, setSort] = useState<{ column: number; ascending: boolean } | null>(null);
+  const nextIdRef = useRef(0);
+
+  const sortedRows = useMemo(() => {
+    if (!result) return [];
+    if (!sort) return result.rows;
+    const direction = sort.ascending ? 1 : -1;
+    return [...result.rows].sort((a, b) => direction * compareCells(a[sort.column], b[sort.column]));
+  }, [result, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(sortedRows.length / PAGE_SIZE));
+  const pageRows = sortedRows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const runQuery = () => {
+    const query = sql.trim();
+    if (!worker || !query || running) return;
+
+    const id = ++nextIdRef.current;
+    console.log('[Main] Running query:', query);
+    setRunning(true);
+    setError(null);
+    setHistory(prev => [query, ...prev.filter(q => q !== query)].slice(0, HISTORY_LIMIT));
+
+    const queryHandler = (event: MessageEvent) => {
+      const { type, data } = event.data;
+      if ((type !== 'queryResult' && type !== 'queryError') || data.id !== id) return;
+      worker.removeEventListener('message', queryHandler);
+      setRunning(false);
+
+      if (type === 'queryError') {
+        setError(data.message);
+        return;
+      }
+      setResult(data);
+      setPage(0);
+      setSort(null);
+    };
+
+    worker.addEventListener('message', queryHandler);
+    worker.postMessage({ type: 'query', data: { id, sql: query } });
+  };
+
+  const toggleSort = (column: number) => {
+    setSort(prev => (prev?.column === column ? { column, ascending: !prev.ascending } : { column, ascending: true }));
+    setPage(0);
+  };
+
+  const exportResult = (format: 'csv' | 'json') => {
+    if (!result) return;
+    const content = format === 'csv' ? toCsv(result.columns, sortedRows) : toJson(result.columns, sortedRows);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    downloadBlob(new Blob([content], { type }), `query-result.${format}`);
+  };
+
+  return (
+    <div className="text-left mt-8">
+      <h3 className="text-2xl font-bold mb-3">SQL Query</h3>
+
+      {tables.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3 text-sm">
+          <span className="text-gray-600">Tables:</span>
+          {tables.map(table => (
+            <button
+              key={table}
+              onClick={() => setSql(selectAll(table))}
+              className="px-2 py-0.5 bg-white border border-gray-300 rounded font-mono hover:bg-gray-100"
+            >
+              {table}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <textarea
+        value={sql}
+        onChange={(e) => setSql(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            runQuery();
+          }
+        }}
+        rows={4}
+        spellCheck={false}
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        placeholder="SELECT * FROM data LIMIT 100;"
+      />
+
+      <div className="flex flex-col sm:flex-row gap-3 mt-3 mb-4">
+        <button
+          onClick={runQuery}
+          disabled={running || !worker}
+          className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg font-semibold hover:bg-blue-600 transition-all disabled:opacity-50"
+        >
+          <Play className="w-4 h-4" />
+          {running ? 'Running...' : 'Run (Ctrl+Enter)'}
+        </button>
+        {history.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && setSql(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg sm:max-w-xs"
+          >
+            <option value="">History ({history.length})</option>
+            {history.map(query => (
+              <option key={query} value={query}>{query.length > 80 ? `${query.slice(0, 80)}…` : query}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-red-700 font-mono text-sm">
+          {error}
+        </div>
+      )}
+
+      {result && !error && (
+        <div>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-3 text-sm text-gray-600">
+            <span>
+              {result.columns.length > 0
+                ? `${result.rows.length.toLocaleString()}${result.truncated ? '+' : ''} rows`
+                : `${result.rowsModified.toLocaleString()} rows modified`}
+              {' '}in {result.time.toFixed(1)} ms
+              {result.statements > 1 && ` (${result.statements} statements)`}
+              {result.truncated && ' — showing the first rows only'}
+            </span>
+            {result.columns.length > 0 && (
+              <div className="flex gap-2 sm:ml-auto">
+                <button
+                  onClick={() => exportResult('csv')}
+                  className="inline-flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700"
+                >
+                  <Download className="w-4 h-4" /> CSV
+                </button>
+                <button
+                  onClick={() => exportResult('json')}
+                  className="inline-flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700"
+                >
+                  <Download className="w-4 h-4" /> JSON
+                </button>
+              </div>
+            )}
+          </div>
+
+          {result.columns.length > 0 && (
+            <>
+              <div className="overflow-x-auto bg-white border border-gray-200 rounded-lg">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left bg-gray-100">
+                      {result.columns.map((column, i) => (
+                        <th
+                          key={i}
+                          onClick={() => toggleSort(i)}
+                          className="px-3 py-2 font-semibold cursor-pointer select-none whitespace-nowrap hover:bg-gray-200"
+                        >
+                          {column}
+                          {sort?.column === i && (sort.ascending ? ' ▲' : ' ▼')}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pageRows.map((row, r) => (
+                      <tr key={r} className="border-t border-gray-100">
+                        {row.map((cell, c) => (
+                          <td
+                            key={c}
+                            className={`px-3 py-1 font-mono whitespace-nowrap max-w-xs truncate ${cell === null ? 'text-gray-400' : ''}`}
+                            title={formatCell(cell)}
+                          >
+                            {formatCell(cell)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {pageCount > 1 && (
+                <div className="flex items-center justify-center gap-3 mt-3 text-sm">
+                  <button
+                    onClick={() => setPage(p => Math.max(0, p - 1))}
+                    disabled={page === 0}
+                    className="p-1 rounded hover:bg-gray-200 disabled:opacity-30"
+                    aria-label="Previous page"
+                  >
+                    <ChevronLeft className="w-5 h-5" />
+                  </button>
+                  <span>Page {page + 1} of {pageCount}</span>
+                  <button
+                    onClick={() => setPage(p => Math.min(pageCount - 1, p + 1))}
+                    disabled={page >= pageCount - 1}
+                    className="p-1 rounded hover:bg-gray-200 disabled:opacity-30"
+                    aria-label="Next page"
+                  >
+                    <ChevronRight className="w-5 h-5" />
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+'use client';
+
+import { useState } from 'react';
+import { Check, Copy } from 'lucide-react';
+import { formatBytes, formatRate, formatTime } from './format';
+
+// Timings the worker reports for each converted file
+export interface FileRunStats {
+  bytes: number;
+  parseMs: number;
+  insertMs: number;
+  indexMs: number;
+  batches: number;
+  peakBatchRows: number;
+}
+
+export interface RunStats extends FileRunStats {
+  files: number;
+  rows: number;
+  tables: number;
+  elapsedMs: number;
+  dbSize: number;
+  skipped: number; // Records dropped under the error policy
+  quarantined: number; // Records moved to the _errors table
+}
+
+export const emptyFileRunStats = (): FileRunStats => ({
+  bytes: 0, parseMs: 0, insertMs: 0, indexMs: 0, batches: 0, peakBatchRows: 0
+});
+
+/**
+ * Fold the stats of one more file into the totals of the run
+ */
+export const addFileRunStats = (total: FileRunStats, file: FileRunStats): FileRunStats => ({
+  bytes: total.bytes + file.bytes,
+  parseMs: total.parseMs + file.parseMs,
+  insertMs: total.insertMs + file.insertMs,
+  indexMs: total.indexMs + file.indexMs,
+  batches: total.batches + file.batches,
+  peakBatchRows: Math.max(total.peakBatchRows, file.peakBatchRows)
+});
+
+/**
+ * Plain-text summary for pasting into run notes
+ */
+export function formatRunSummary(stats: RunStats): string {
+  const seconds = stats.elapsedMs / 1000;
+  const lines = [
+    `Files: ${stats.files} (${formatBytes(stats.bytes)})`,
+    `Rows: ${stats.rows.toLocaleString()} in ${stats.tables} ${stats.tables === 1 ? 'table' : 'tables'}`,
+    `Total time: ${formatTime(seconds)}`,
+    `Parse time: ${formatTime(stats.parseMs / 1000)}`,
+    `Insert time: ${formatTime(stats.insertMs / 1000)}`,
+    `Index time: ${formatTime(stats.indexMs / 1000)}`,
+    `Batches: ${stats.batches.toLocaleString()} (peak ${stats.peakBatchRows.toLocaleString()} rows)`,
+    `Throughput: ${formatRate(stats.rows, seconds)} rows/s, ${formatBytes(seconds > 0 ? stats.bytes / seconds : 0)}/s`,
+    `Database size: ${formatBytes(stats.dbSize)}`
+  ];
+  if (stats.skipped > 0 || stats.quarantined > 0) {
+    lines.push(`Rejected records: ${stats.skipped.toLocaleString()} skipped, ${stats.quarantined.toLocaleString()} quarantined`);
+  }
+  return lines.join('\n');
+}
+
+export default function RunSummary({ stats }: { stats: RunStats }) {
+  const [copied, setCopied] = useState(false);
+  const summary = formatRunSummary(stats);
+
+  const copySummary = async () => {
+    try {
+      await navigator.clipboard.writeText(summary);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('[Main] Failed to copy summary:', err);
+    }
+  };
+
+  return (
+    <div className="mb-6 text-left bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex items-center mb-2">
+        <h3 className="font-semibold">Run Summary</h3>
+        <button
+          onClick={copySummary}
+          className="ml-auto inline-flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded text-sm hover:bg-gray-700"
+        >
+          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      <pre className="text-sm font-mono whitespace-pre-wrap text-gray-700">{summary}</pre>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+'use client';
+
+import { Download, FolderOpen, Trash2 } from 'lucide-react';
+import { formatBytes } from './format';
+
+// Metadata the worker keeps next to each saved database
+export interface SavedDatabase {
+  id: string;
+  name: string;
+  size: number;
+  rows: number;
+  tables: { name: string; rows: number }[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface SavedDatabasesProps {
+  databases: SavedDatabase[];
+  onOpen: (database: SavedDatabase) => void;
+  onDownload: (database: SavedDatabase) => void;
+  onDelete: (database: SavedDatabase) => void;
+}
+
+export default function SavedDatabases({ databases, onOpen, onDownload, onDelete }: SavedDatabasesProps) {
+  return (
+    <div className="mt-8 text-left">
+      <h3 className="text-xl font-bold mb-1">Saved in This Browser</h3>
+      <p className="text-sm text-gray-600 mb-3">Databases from earlier conversions, kept on this device only.</p>
+      <ul className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-100 text-sm">
+        {databases.map(database => (
+          <li key={database.id} className="flex flex-col sm:flex-row sm:items-center gap-2 px-4 py-3">
+            <div className="min-w-0">
+              <div className="font-mono font-semibold truncate">{database.name}</div>
+              <div className="text-gray-600">
+                {formatBytes(database.size)} · {database.rows.toLocaleString()} rows in{' '}
+                <span title={database.tables.map(table => `${table.name}: ${table.rows.toLocaleString()}`).join('\n')}>
+                  {database.tables.length} {database.tables.length === 1 ? 'table' : 'tables'}
+                </span>
+                {' '}· {new Date(database.updatedAt).toLocaleString()}
+              </div>
+            </div>
+            <div className="flex gap-2 sm:ml-auto">
+              <button
+                onClick={() => onOpen(database)}
+                className="inline-flex items-center gap-1 px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+              >
+                <FolderOpen className="w-4 h-4" /> Open
+              </button>
+              <button
+                onClick={() => onDownload(database)}
+                className="inline-flex items-center gap-1 px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700"
+                aria-label={`Download ${database.name}`}
+              >
+                <Download className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => onDelete(database)}
+                className="inline-flex items-center gap-1 px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600"
+                aria-label={`Delete ${database.name}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
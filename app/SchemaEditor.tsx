@@ -0,0 +1,229 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import { Check, Download, Upload } from 'lucide-react';
+import { ColumnStatsSummary, formatDistinct, formatMaxLength, formatPercent } from './ColumnStats';
+import { downloadBlob } from './download';
+import { mergeSchema } from '../public/workers/schema.mjs';
+
+export type ColumnType = 'INTEGER' | 'REAL' | 'TEXT' | 'BLOB' | 'NUMERIC';
+
+export const COLUMN_TYPES: ColumnType[] = ['INTEGER', 'REAL', 'TEXT', 'BLOB', 'NUMERIC'];
+
+export interface SchemaColumn {
+  source: string; // Flattened key in the JSON records
+  name: string; // Column name in the SQLite table
+  type: ColumnType;
+  include: boolean;
+  primaryKey: boolean;
+  notNull: boolean;
+  unique: boolean;
+  generated?: boolean; // Relational-mode keys, which cannot be renamed or dropped
+  kind?: string; // Value kind detected in the sample, e.g. integer or datetime
+  stats?: ColumnStatsSummary; // Statistics over the sampled rows
+}
+
+export interface SchemaFile {
+  table: string;
+  columns: SchemaColumn[];
+}
+
+interface SchemaEditorProps {
+  table: string;
+  sampled: number;
+  columns: SchemaColumn[];
+  onApply: (columns: SchemaColumn[]) => void;
+}
+
+/**
+ * Check the edited schema before it is sent to the worker
+ */
+function validateSchema(columns: SchemaColumn[]): string | null {
+  const included = columns.filter(col => col.include);
+  if (included.length === 0) return 'Keep at least one column';
+
+  const seen = new Set<string>();
+  for (const col of included) {
+    const name = col.name.trim();
+    if (!name) return `Column "${col.source}" needs a name`;
+    // SQLite identifiers are case-insensitive
+    const key = name.toLowerCase();
+    if (seen.has(key)) return `Duplicate column name "${name}"`;
+    seen.add(key);
+  }
+  return null;
+}
+
+export default function SchemaEditor({ table, sampled, columns: proposed, onApply }: SchemaEditorProps) {
+  const [columns, setColumns] = useState<SchemaColumn[]>(proposed);
+  const [error, setError] = useState<string | null>(null);
+  const importInputRef = useRef<HTMLInputElement>(null);
+
+  const updateColumn = (index: number, changes: Partial<SchemaColumn>) => {
+    setColumns(prev => prev.map((col, i) => (i === index ? { ...col, ...changes } : col)));
+    setError(null);
+  };
+
+  const exportSchema = () => {
+    // Sample statistics describe this run only, so they stay out of the file
+    const file: SchemaFile = { table, columns: columns.map(({ kind, stats, ...col }) => col) };
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${table}.schema.json`);
+  };
+
+  const importSchema = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = JSON.parse(await file.text()) as Partial<SchemaFile>;
+      if (!Array.isArray(parsed.columns)) {
+        throw new Error('missing "columns" array');
+      }
+      setColumns(prev => mergeSchema(prev, parsed.columns as SchemaColumn[]));
+      setError(null);
+    } catch (err) {
+      setError(`Invalid schema file: ${(err as Error).message}`);
+    }
+  };
+
+  const applySchema = () => {
+    const validationError = validateSchema(columns);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onApply(columns.map(col => ({ ...col, name: col.name.trim() })));
+  };
+
+  return (
+    <div className="mb-5 p-5 bg-gray-50 rounded-lg border border-gray-200">
+      <h3 className="text-xl font-bold mb-1">Review Schema for &quot;{table}&quot;</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Conversion is paused after sampling {sampled.toLocaleString()} rows. Rename, retype or drop columns and add constraints, then continue.
+      </p>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b border-gray-200">
+              <th className="py-2 pr-2">Keep</th>
+              <th className="py-2 pr-2">Source Key</th>
+              <th className="py-2 pr-2">Column Name</th>
+              <th className="py-2 pr-2">Type</th>
+              <th className="py-2 pr-2">Detected</th>
+              <th className="py-2 pr-2">Nulls</th>
+              <th className="py-2 pr-2">Distinct</th>
+              <th className="py-2 pr-2">Max Length</th>
+              <th className="py-2 pr-2">Conflicts</th>
+              <th className="py-2 pr-2" title="Primary key">PK</th>
+              <th className="py-2 pr-2" title="Not null">NN</th>
+              <th className="py-2" title="Unique">UQ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((col, i) => (
+              <tr key={col.source} className={`border-b border-gray-100 ${col.include ? '' : 'opacity-50'}`}>
+                <td className="py-1 pr-2">
+                  <input
+                    type="checkbox"
+                    checked={col.include}
+                    disabled={col.generated}
+                    onChange={(e) => updateColumn(i, { include: e.target.checked })}
+                  />
+                </td>
+                <td className="py-1 pr-2 font-mono text-gray-600">{col.source}</td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="text"
+                    value={col.name}
+                    disabled={col.generated || !col.include}
+                    onChange={(e) => updateColumn(i, { name: e.target.value })}
+                    className="w-full px-2 py-1 border border-gray-300 rounded font-mono"
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <select
+                    value={col.type}
+                    disabled={col.generated || !col.include}
+                    onChange={(e) => updateColumn(i, { type: e.target.value as ColumnType })}
+                    className="px-2 py-1 border border-gray-300 rounded"
+                  >
+                    {COLUMN_TYPES.map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-1 pr-2 text-gray-600">{col.kind ?? '-'}</td>
+                <td className="py-1 pr-2">{col.stats ? formatPercent(col.stats.nulls, sampled) : '-'}</td>
+                <td className="py-1 pr-2">{col.stats ? formatDistinct(col.stats) : '-'}</td>
+                <td className="py-1 pr-2">{col.stats ? formatMaxLength(col.stats) : '-'}</td>
+                <td className={`py-1 pr-2 ${col.stats?.conflicts ? 'text-yellow-600 font-semibold' : ''}`}>
+                  {col.stats ? col.stats.conflicts.toLocaleString() : '-'}
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="checkbox"
+                    checked={col.primaryKey}
+                    disabled={!col.include}
+                    onChange={(e) => updateColumn(i, { primaryKey: e.target.checked })}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="checkbox"
+                    checked={col.notNull}
+                    disabled={!col.include}
+                    onChange={(e) => updateColumn(i, { notNull: e.target.checked })}
+                  />
+                </td>
+                <td className="py-1">
+                  <input
+                    type="checkbox"
+                    checked={col.unique}
+                    disabled={!col.include}
+                    onChange={(e) => updateColumn(i, { unique: e.target.checked })}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {error && <p className="mb-4 text-red-600 text-sm">{error}</p>}
+
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".json"
+        onChange={importSchema}
+        className="hidden"
+      />
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-gray-600 text-white rounded-lg font-semibold hover:bg-gray-700 transition-all"
+        >
+          <Upload className="w-4 h-4" />
+          Import Schema
+        </button>
+        <button
+          onClick={exportSchema}
+          className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-gray-600 text-white rounded-lg font-semibold hover:bg-gray-700 transition-all"
+        >
+          <Download className="w-4 h-4" />
+          Export Schema
+        </button>
+        <button
+          onClick={applySchema}
+          className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg font-semibold hover:bg-blue-600 transition-all sm:ml-auto"
+        >
+          <Check className="w-4 h-4" />
+          Apply &amp; Continue
+        </button>
+      </div>
+    </div>
+  );
+}
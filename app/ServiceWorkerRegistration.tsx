@@ -1,11 +1,32 @@
 'use client';
 
-import { useEffect } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { isConverting, onConvertingChange } from './activity';
 
 export default function ServiceWorkerRegistration() {
+  // A new version installed and waiting for the page to let it take over
+  const [waitingWorker, setWaitingWorker] = useState<ServiceWorker | null>(null);
+  const [converting, setConverting] = useState(isConverting);
+  const [deferred, setDeferred] = useState(false);
+  // Another tab let a new version take over this one
+  const [replaced, setReplaced] = useState(false);
+  // Set once the user asks for the new version, so only that swap reloads the page
+  const reloadRequestedRef = useRef(false);
+
+  useEffect(() => onConvertingChange(setConverting), []);
+
   useEffect(() => {
     // Check if service workers are supported
     if ('serviceWorker' in navigator) {
+      // Without a controller the first install takes over, which needs no reload
+      const hadController = navigator.serviceWorker.controller !== null;
+
+      const offerUpdate = (worker: ServiceWorker) => {
+        console.log('[App] New Service Worker installed, waiting for reload');
+        setWaitingWorker(worker);
+      };
+
       // Register the service worker
       navigator.serviceWorker
         .register('/json-to-sqlite/sw.js', {
@@ -13,17 +34,21 @@ export default function ServiceWorkerRegistration() {
         })
         .then((registration) => {
           console.log('[App] Service Worker registered successfully:', registration.scope);
-          
-          // Check for updates periodically
+
+          // An update installed during an earlier visit is still waiting
+          if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
+          }
+
           registration.addEventListener('updatefound', () => {
             const newWorker = registration.installing;
             console.log('[App] New Service Worker found, installing...');
-            
+
             if (newWorker) {
               newWorker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, which takes over by itself
                 if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                  // New service worker available, could show update notification here
-                  console.log('[App] New Service Worker installed, ready to activate');
+                  offerUpdate(newWorker);
                 }
               });
             }
@@ -36,16 +61,61 @@ export default function ServiceWorkerRegistration() {
       // Listen for messages from the service worker
       navigator.serviceWorker.addEventListener('message', (event) => {
         console.log('[App] Message from Service Worker:', event.data);
+        if (event.data?.type === 'IS_CONVERTING') {
+          // The service worker holds an update back while any tab is converting
+          event.ports[0]?.postMessage({ converting: isConverting() });
+        } else if (event.data?.type === 'UPDATE_DEFERRED') {
+          reloadRequestedRef.current = false;
+          setDeferred(true);
+        }
       });
 
-      // Log when the controlling service worker changes
+      // Reload into the new version once it has taken over at our request
       navigator.serviceWorker.addEventListener('controllerchange', () => {
         console.log('[App] Service Worker controller changed');
+        if (reloadRequestedRef.current) {
+          window.location.reload();
+        } else if (hadController) {
+          setReplaced(true);
+        }
       });
     } else {
       console.warn('[App] Service Workers are not supported in this browser');
     }
   }, []);
 
-  return null; // This component doesn't render anything
+  const applyUpdate = () => {
+    if (isConverting()) return;
+    if (replaced) {
+      window.location.reload();
+      return;
+    }
+    if (!waitingWorker) return;
+    setDeferred(false);
+    reloadRequestedRef.current = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  };
+
+  if (!waitingWorker && !replaced) return null;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 px-4 py-3 bg-gray-900 text-white text-sm rounded-lg shadow-2xl">
+      <span>
+        {converting
+          ? 'A new version is available. You can reload once the conversion finishes.'
+          : replaced
+            ? 'A new version was activated from another tab. Reload to use it.'
+            : deferred
+              ? 'A conversion is running in another tab. Reload once it finishes.'
+              : 'A new version is available.'}
+      </span>
+      <button
+        onClick={applyUpdate}
+        disabled={converting}
+        className="inline-flex items-center gap-1 px-3 py-1 bg-blue-500 rounded hover:bg-blue-600 disabled:opacity-50"
+      >
+        <RefreshCw className="w-4 h-4" /> Reload
+      </button>
+    </div>
+  );
 }
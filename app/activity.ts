@@ -0,0 +1,22 @@
+// Whether this tab is running a conversion. The service worker asks before it
+// swaps in a new version, and the update prompt waits while one runs.
+let converting = false;
+const listeners = new Set<(converting: boolean) => void>();
+
+export const isConverting = (): boolean => converting;
+
+export function setConverting(value: boolean) {
+  if (converting === value) return;
+  converting = value;
+  listeners.forEach(listener => listener(value));
+}
+
+/**
+ * Call `listener` whenever a conversion starts or ends; returns the unsubscribe function
+ */
+export function onConvertingChange(listener: (converting: boolean) => void): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
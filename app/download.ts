@@ -0,0 +1,33 @@
+/**
+ * Save a blob to disk through a temporary download link
+ */
+export function downloadBlob(blob: Blob, fileName: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+export type ExportFormat = 'sqlite' | 'sql-sqlite' | 'sql-postgresql' | 'sql-mysql' | 'csv' | 'tsv' | 'json' | 'ndjson';
+
+interface ExportTarget {
+  label: string;
+  suffix: string; // Appended to the base file name
+  type: string;
+  request?: { format: string; dialect?: string }; // Sent with the worker's exportAs message; the SQLite file has its own export
+}
+
+export const EXPORT_TARGETS: Record<ExportFormat, ExportTarget> = {
+  sqlite: { label: 'SQLite Database', suffix: '.sqlite', type: 'application/x-sqlite3' },
+  'sql-sqlite': { label: 'SQL Dump (SQLite)', suffix: '.sql', type: 'application/sql', request: { format: 'sql', dialect: 'sqlite' } },
+  'sql-postgresql': { label: 'SQL Dump (PostgreSQL)', suffix: '.pg.sql', type: 'application/sql', request: { format: 'sql', dialect: 'postgresql' } },
+  'sql-mysql': { label: 'SQL Dump (MySQL)', suffix: '.mysql.sql', type: 'application/sql', request: { format: 'sql', dialect: 'mysql' } },
+  csv: { label: 'CSV per Table (zip)', suffix: '-csv.zip', type: 'application/zip', request: { format: 'csv' } },
+  tsv: { label: 'TSV per Table (zip)', suffix: '-tsv.zip', type: 'application/zip', request: { format: 'tsv' } },
+  json: { label: 'JSON', suffix: '.json', type: 'application/json', request: { format: 'json' } },
+  ndjson: { label: 'NDJSON per Table (zip)', suffix: '-ndjson.zip', type: 'application/zip', request: { format: 'ndjson' } }
+};
@@ -0,0 +1,150 @@
+import type { TableSummary } from './ColumnStats';
+import { listZipMembers, zipMemberFile } from './zip';
+
+export type FileStatus = 'pending' | 'processing' | 'done' | 'error' | 'cancelled';
+
+// A file to convert: a plain or compressed file, or a JSON member of a zip archive
+export interface InputFile {
+  file: File;
+  compression: CompressionFormat | null; // Decompressed with a DecompressionStream while streaming
+  archive: string | null; // Name of the zip archive the file was listed from
+}
+
+export interface QueuedFile extends InputFile {
+  selected: boolean; // Unselected archive members are left out of the run
+  tableName: string;
+  status: FileStatus;
+  rows: number; // Rows imported from this file
+  tables: TableSummary[]; // Tables written while importing this file
+}
+
+export const JSON_FILE_PATTERN = /\.(json|ndjson|jsonl)(\.(gz|deflate))?$/i;
+export const NDJSON_FILE_PATTERN = /\.(ndjson|jsonl)(\.(gz|deflate))?$/i;
+const ZIP_FILE_PATTERN = /\.zip$/i;
+
+export const isJsonFile = (file: File): boolean => {
+  return file.type === 'application/json' || JSON_FILE_PATTERN.test(file.name);
+};
+
+export const isZipFile = (file: File): boolean => {
+  return file.type === 'application/zip' || ZIP_FILE_PATTERN.test(file.name);
+};
+
+/**
+ * Compression implied by a file name, e.g. "orders.ndjson.gz" is gzip
+ */
+export const compressionOf = (fileName: string): CompressionFormat | null => {
+  if (/\.gz$/i.test(fileName)) return 'gzip';
+  if (/\.deflate$/i.test(fileName)) return 'deflate';
+  return null;
+};
+
+/**
+ * File name as shown in lists, prefixed by the archive it came from
+ */
+export const displayName = (input: InputFile): string => {
+  return input.archive ? `${input.archive} › ${input.file.name}` : input.file.name;
+};
+
+/**
+ * Table name derived from a file name, e.g. "orders-2024.json.gz" becomes "orders_2024"
+ */
+export const tableNameFromFile = (fileName: string): string => {
+  const base = fileName.replace(JSON_FILE_PATTERN, '').replace(/[^a-zA-Z0-9_]/g, '_');
+  if (!base) return 'data';
+  return /^[0-9]/.test(base) ? `t_${base}` : base;
+};
+
+/**
+ * Queue files for conversion, naming each table after its file.
+ * A single file keeps the default "data" table, or the one a profile names;
+ * files whose names collide get numbered tables, which can still be edited
+ * to append into one table.
+ */
+export function queueFiles(inputs: InputFile[], singleTableName = 'data'): QueuedFile[] {
+  const used = new Set<string>();
+  return inputs.map(input => {
+    const base = inputs.length === 1 ? singleTableName : tableNameFromFile(input.file.name);
+    let tableName = base;
+    for (let i = 2; used.has(tableName.toLowerCase()); i++) tableName = `${base}_${i}`;
+    used.add(tableName.toLowerCase());
+    return { ...input, selected: true, tableName, status: 'pending', rows: 0, tables: [] };
+  });
+}
+
+/**
+ * The JSON members of a zip archive. Stored members stream as they are and
+ * deflated ones through a raw deflate decompressor; anything else is reported.
+ */
+async function listArchive(zip: File, errors: string[]): Promise<InputFile[]> {
+  const inputs: InputFile[] = [];
+  for (const member of await listZipMembers(zip)) {
+    if (member.path.endsWith('/') || member.path.startsWith('__MACOSX/')) continue;
+    if (!JSON_FILE_PATTERN.test(member.path) || compressionOf(member.path)) continue;
+    if (member.encrypted || (member.method !== 0 && member.method !== 8)) {
+      errors.push(`${zip.name}: ${member.path} is ${member.encrypted ? 'encrypted' : 'compressed with an unsupported method'}`);
+      continue;
+    }
+    inputs.push({
+      file: await zipMemberFile(zip, member),
+      compression: member.method === 8 ? 'deflate-raw' : null,
+      archive: zip.name
+    });
+  }
+  if (inputs.length === 0) errors.push(`${zip.name} contains no JSON files`);
+  return inputs;
+}
+
+/**
+ * Expand the chosen files into inputs, listing the JSON members of zip archives.
+ * Archives that cannot be read are left out and described in `errors`.
+ */
+export async function listInputs(files: File[]): Promise<{ inputs: InputFile[]; errors: string[] }> {
+  const inputs: InputFile[] = [];
+  const errors: string[] = [];
+  for (const file of files) {
+    if (!isZipFile(file)) {
+      inputs.push({ file, compression: compressionOf(file.name), archive: null });
+      continue;
+    }
+    try {
+      inputs.push(...await listArchive(file, errors));
+    } catch (error) {
+      errors.push(`${file.name}: ${(error as Error).message}`);
+    }
+  }
+  return { inputs, errors };
+}
+
+const readEntries = (reader: FileSystemDirectoryReader) =>
+  new Promise<FileSystemEntry[]>((resolve, reject) => reader.readEntries(resolve, reject));
+
+const readFile = (entry: FileSystemFileEntry) =>
+  new Promise<File>((resolve, reject) => entry.file(resolve, reject));
+
+async function collectEntry(entry: FileSystemEntry, files: File[]) {
+  if (entry.isFile) {
+    files.push(await readFile(entry as FileSystemFileEntry));
+    return;
+  }
+  const reader = (entry as FileSystemDirectoryEntry).createReader();
+  // Directory readers return their entries in batches until an empty one
+  for (let batch = await readEntries(reader); batch.length > 0; batch = await readEntries(reader)) {
+    for (const child of batch) await collectEntry(child, files);
+  }
+}
+
+/**
+ * Collect the files of a drop, descending into dropped folders.
+ * The entries are taken before the first await, while the drop data is still readable.
+ */
+export async function collectDroppedFiles(dataTransfer: DataTransfer): Promise<File[]> {
+  const entries = Array.from(dataTransfer.items, item => item.webkitGetAsEntry());
+  if (entries.every(entry => entry === null)) return Array.from(dataTransfer.files);
+
+  const files: File[] = [];
+  for (const entry of entries) {
+    if (entry) await collectEntry(entry, files);
+  }
+  return files.sort((a, b) => a.name.localeCompare(b.name));
+}
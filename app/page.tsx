@@ -1,10 +1,25 @@
 'use client';
 
 import { useState, useRef, useEffect } from 'react';
-import { Upload, Download, RotateCcw } from 'lucide-react';
+import { Upload, Download, FileWarning, RotateCcw, Pause, Play, XCircle } from 'lucide-react';
+import SchemaEditor, { SchemaColumn, SchemaFile } from './SchemaEditor';
+import OptimizeEditor, { OptimizePlan, OptimizeTable } from './OptimizeEditor';
+import ColumnStats, { TableSummary } from './ColumnStats';
+import QueryConsole from './QueryConsole';
+import DataPreview, { Cell, PreviewColumn } from './DataPreview';
+import FileQueue from './FileQueue';
+import SavedDatabases, { SavedDatabase } from './SavedDatabases';
+import ConversionProfiles from './ConversionProfiles';
+import RunSummary, { FileRunStats, RunStats, addFileRunStats, emptyFileRunStats } from './RunSummary';
+import { EXPORT_TARGETS, ExportFormat, downloadBlob } from './download';
+import { formatBytes, formatRate, formatTime } from './format';
+import { setConverting } from './activity';
+import { mergeSchema } from '../public/workers/schema.mjs';
+import { ConversionProfile, ConflictStrategy, DEFAULT_OPTIONS, DateStorage, ErrorPolicy, InputFormat, ProfileOptions, SchemaScan, findProfileForFile, loadProfiles, mergeProfiles, parseProfiles, profileFromQuery, profileQuery, serializeProfiles, storeProfiles } from './profiles';
+import { QueuedFile, JSON_FILE_PATTERN, NDJSON_FILE_PATTERN, collectDroppedFiles, displayName, isJsonFile, isZipFile, listInputs, queueFiles } from './files';
 
 interface WorkerMessage {
-  type: 'log' | 'status' | 'progress' | 'schema' | 'complete' | 'error' | 'exported' | 'READY';
+  type: 'log' | 'status' | 'progress' | 'schema' | 'schemaProposal' | 'optimizeProposal' | 'complete' | 'error' | 'exported' | 'queryResult' | 'queryError' | 'preview' | 'rowsResult' | 'inspected' | 'state' | 'chunkAck' | 'errorReport' | 'exportChunk' | 'exportDone' | 'exportError' | 'summary' | 'saved' | 'savedList' | 'savedData' | 'savedDeleted' | 'scanned' | 'READY';
   data: any;
 }
 
@@ -14,18 +29,114 @@ interface LogEntry {
   message: string;
 }
 
+// Conversion state as acknowledged by the worker
+type RunState = 'running' | 'paused' | 'cancelled';
+
+interface StreamGate {
+  promise: Promise<void>;
+  resolve: () => void;
+}
+
+interface ExistingTable {
+  name: string;
+  rows: number;
+  columns: string[];
+}
+
+const WORKER_URL = '/json-to-sqlite/workers/db-worker.js';
+// Chunks posted to the worker but not yet acknowledged
+const MAX_IN_FLIGHT_CHUNKS = 4;
+
+/**
+ * Run one request against the databases saved in the browser in a throwaway
+ * worker, which has the storage APIs the page lacks (OPFS sync access handles)
+ */
+const requestSaved = (type: string, data: object, replyType: WorkerMessage['type']) => {
+  return new Promise<any>(resolve => {
+    const worker = new Worker(WORKER_URL, { type: 'module' });
+    worker.onmessage = (event: MessageEvent<WorkerMessage>) => {
+      if (event.data.type !== replyType) return;
+      worker.terminate();
+      resolve(event.data.data);
+    };
+    worker.postMessage({ type, data });
+  });
+};
+
+/**
+ * Whether a ReadableStream can be transferred to a worker, so the worker reads the file itself
+ */
+const supportsTransferableStreams = (): boolean => {
+  try {
+    const stream = new ReadableStream();
+    const channel = new MessageChannel();
+    channel.port1.postMessage(stream, [stream]);
+    channel.port1.close();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
 export default function Home() {
-  const [selectedFile, setSelectedFile] = useState<File | null>(null);
-  const [tableName, setTableName] = useState('data');
-  const [sampleSize, setSampleSize] = useState(100);
-  const [batchSize, setBatchSize] = useState(1000);
+  const [files, setFiles] = useState<QueuedFile[]>([]);
+  const [sampleSize, setSampleSize] = useState(DEFAULT_OPTIONS.sampleSize);
+  const [schemaScan, setSchemaScan] = useState<SchemaScan>(DEFAULT_OPTIONS.schemaScan);
+  const [batchSize, setBatchSize] = useState(DEFAULT_OPTIONS.batchSize);
+  const [recordPath, setRecordPath] = useState(DEFAULT_OPTIONS.recordPath);
+  const [inputFormat, setInputFormat] = useState<InputFormat>(DEFAULT_OPTIONS.inputFormat);
+  const [relational, setRelational] = useState(DEFAULT_OPTIONS.relational);
+  const [splitTopLevel, setSplitTopLevel] = useState(DEFAULT_OPTIONS.splitTopLevel);
+  const [keySeparator, setKeySeparator] = useState(DEFAULT_OPTIONS.keySeparator);
+  const [maxDepth, setMaxDepth] = useState(DEFAULT_OPTIONS.maxDepth);
+  const [includePaths, setIncludePaths] = useState(DEFAULT_OPTIONS.includePaths);
+  const [excludePaths, setExcludePaths] = useState(DEFAULT_OPTIONS.excludePaths);
+  const [preserveKeys, setPreserveKeys] = useState(DEFAULT_OPTIONS.preserveKeys);
+  const [jsonPaths, setJsonPaths] = useState(DEFAULT_OPTIONS.jsonPaths);
+  const [columnBudget, setColumnBudget] = useState(DEFAULT_OPTIONS.columnBudget);
+  const [jsonViews, setJsonViews] = useState(DEFAULT_OPTIONS.jsonViews);
+  const [reviewSchema, setReviewSchema] = useState(DEFAULT_OPTIONS.reviewSchema);
+  const [optimize, setOptimize] = useState(DEFAULT_OPTIONS.optimize);
+  const [inferStrings, setInferStrings] = useState(DEFAULT_OPTIONS.inferStrings);
+  const [dateStorage, setDateStorage] = useState<DateStorage>(DEFAULT_OPTIONS.dateStorage);
+  const [existingDb, setExistingDb] = useState<File | null>(null);
+  const [existingTables, setExistingTables] = useState<ExistingTable[]>([]);
+  const [conflictStrategy, setConflictStrategy] = useState<ConflictStrategy>(DEFAULT_OPTIONS.conflictStrategy);
+  const [conflictKey, setConflictKey] = useState(DEFAULT_OPTIONS.conflictKey);
+  const [errorPolicy, setErrorPolicy] = useState<ErrorPolicy>(DEFAULT_OPTIONS.errorPolicy);
+  const [profiles, setProfiles] = useState<ConversionProfile[]>([]);
+  const [activeProfile, setActiveProfile] = useState<ConversionProfile | null>(null);
+  const [profileSuggestion, setProfileSuggestion] = useState<{ profile: ConversionProfile; fileName: string } | null>(null);
+  // Schema and index choices of the active profile, updated by each review so a save keeps them
+  const [reviewedSchemas, setReviewedSchemas] = useState<SchemaFile[]>([]);
+  const [optimizationChoice, setOptimizationChoice] = useState<OptimizePlan | null>(null);
+  const [schemaProposal, setSchemaProposal] = useState<{ table: string; sampled: number; columns: SchemaColumn[] } | null>(null);
+  const [optimizeProposal, setOptimizeProposal] = useState<OptimizeTable[] | null>(null);
+  const [tableSummaries, setTableSummaries] = useState<TableSummary[]>([]);
+  const [livePreview, setLivePreview] = useState<{
+    table: string;
+    columns: PreviewColumn[];
+    totalRows: number;
+    rows: Cell[][];
+  } | null>(null);
+  const [previewTable, setPreviewTable] = useState('');
   const [showOptions, setShowOptions] = useState(false);
   const [showProgress, setShowProgress] = useState(false);
   const [showDownload, setShowDownload] = useState(false);
+  const [exportFormat, setExportFormat] = useState<ExportFormat>(DEFAULT_OPTIONS.exportFormat);
+  const [exporting, setExporting] = useState(false);
+  const [keepCopy, setKeepCopy] = useState(DEFAULT_OPTIONS.keepCopy);
+  const [savedDatabases, setSavedDatabases] = useState<SavedDatabase[]>([]);
+  const [openedDatabase, setOpenedDatabase] = useState<SavedDatabase | null>(null);
   const [progress, setProgress] = useState(0);
   const [status, setStatus] = useState('Initializing...');
   const [rowsProcessed, setRowsProcessed] = useState(0);
-  const [elapsedTime, setElapsedTime] = useState('0s');
+  const [bytesProcessed, setBytesProcessed] = useState(0);
+  const [elapsed, setElapsed] = useState(0);
+  const [runStats, setRunStats] = useState<RunStats | null>(null);
+  const [runState, setRunState] = useState<RunState>('running');
+  // The state asked of the worker and not yet acknowledged
+  const [requestedState, setRequestedState] = useState<RunState | null>(null);
   const [logs, setLogs] = useState<LogEntry[]>([]);
   const [isDragging, setIsDragging] = useState(false);
   
@@ -33,8 +144,44 @@ export default function Home() {
   const startTimeRef = useRef<number | null>(null);
   const timerRef = useRef<NodeJS.Timeout | null>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
+  const existingDbInputRef = useRef<HTMLInputElement>(null);
+  // The files of the running conversion, the one being streamed and the rows of those already done
+  const runFilesRef = useRef<QueuedFile[]>([]);
+  const fileIndexRef = useRef(0);
+  const completedRowsRef = useRef(0);
+  const completedBytesRef = useRef(0);
+  // A schema scan reads every file twice; bytes of the current file read by its scan pass
+  const passesRef = useRef(1);
+  const passBytesRef = useRef(0);
+  const fileStatsRef = useRef<FileRunStats>(emptyFileRunStats());
+  const tableNamesRef = useRef<Set<string>>(new Set());
+  const rejectedRef = useRef({ skipped: 0, quarantined: 0 });
+  // Hold file streaming while the user reviews the proposed schema or pauses
+  const schemaGateRef = useRef<StreamGate | null>(null);
+  const pauseGateRef = useRef<StreamGate | null>(null);
+  const creditGateRef = useRef<StreamGate | null>(null);
+  const inFlightRef = useRef(0);
+  const cancelledRef = useRef(false);
+  const nextExportIdRef = useRef(0);
+  // Paused time is left out of the elapsed time, so rates and the ETA stay meaningful
+  const pausedAtRef = useRef<number | null>(null);
+  const pausedMsRef = useRef(0);
 
+  // The update prompt and the service worker wait while a conversion runs
   useEffect(() => {
+    setConverting(showProgress);
+  }, [showProgress]);
+
+  useEffect(() => {
+    refreshSavedDatabases();
+    // Profiles live in localStorage, which the static export cannot read at build time
+    const stored = loadProfiles();
+    setProfiles(stored);
+    const linked = profileFromQuery(window.location.search, stored);
+    if (linked) {
+      console.log('[Main] Applying profile from link:', linked.name);
+      applyProfile(linked);
+    }
     return () => {
       if (workerRef.current) {
         workerRef.current.terminate();
@@ -45,42 +192,259 @@ export default function Home() {
     };
   }, []);
 
+  const refreshSavedDatabases = async () => {
+    const result = await requestSaved('listSaved', {}, 'savedList');
+    if (result.error) console.error('[Main] Failed to list saved databases:', result.error);
+    setSavedDatabases(result.databases);
+  };
+
+  /**
+   * Fill the options form from a profile, or reset it to the defaults
+   */
+  const applyProfile = (profile: ConversionProfile | null) => {
+    const options = profile?.options ?? DEFAULT_OPTIONS;
+    console.log('[Main] Applying profile:', profile?.name ?? '(defaults)');
+    setActiveProfile(profile);
+    setProfileSuggestion(null);
+    setSampleSize(options.sampleSize);
+    setSchemaScan(options.schemaScan);
+    setBatchSize(options.batchSize);
+    setRecordPath(options.recordPath);
+    setInputFormat(options.inputFormat);
+    setRelational(options.relational);
+    setSplitTopLevel(options.splitTopLevel);
+    setKeySeparator(options.keySeparator);
+    setMaxDepth(options.maxDepth);
+    setIncludePaths(options.includePaths);
+    setExcludePaths(options.excludePaths);
+    setPreserveKeys(options.preserveKeys);
+    setJsonPaths(options.jsonPaths);
+    setColumnBudget(options.columnBudget);
+    setJsonViews(options.jsonViews);
+    setReviewSchema(options.reviewSchema);
+    setOptimize(options.optimize);
+    setInferStrings(options.inferStrings);
+    setDateStorage(options.dateStorage);
+    setConflictStrategy(options.conflictStrategy);
+    setConflictKey(options.conflictKey);
+    setErrorPolicy(options.errorPolicy);
+    setKeepCopy(options.keepCopy);
+    setExportFormat(options.exportFormat);
+    setReviewedSchemas(profile?.schemas ?? []);
+    setOptimizationChoice(profile?.optimization ?? null);
+    // Several files keep the table names derived from their file names
+    setFiles(prev => prev.length === 1 ? [{ ...prev[0], tableName: options.tableName }] : prev);
+  };
+
+  /**
+   * The options form as a profile
+   */
+  const currentProfile = (name: string, filePattern: string): ConversionProfile => {
+    const options: ProfileOptions = {
+      tableName: files.length === 1 ? files[0].tableName.trim() || 'data' : activeProfile?.options.tableName ?? DEFAULT_OPTIONS.tableName,
+      sampleSize, schemaScan, batchSize, recordPath, inputFormat, relational, splitTopLevel, keySeparator, maxDepth,
+      includePaths, excludePaths, preserveKeys, jsonPaths, columnBudget, jsonViews, reviewSchema, optimize,
+      inferStrings, dateStorage, conflictStrategy, conflictKey, errorPolicy, keepCopy, exportFormat
+    };
+    return { name, filePattern, options, schemas: reviewedSchemas, optimization: optimizationChoice };
+  };
+
+  /**
+   * A schema proposal with the active profile's columns for its table applied, as if imported in the editor
+   */
+  const withProfileSchema = (proposal: { table: string; sampled: number; columns: SchemaColumn[] }) => {
+    const saved = activeProfile?.schemas.find(schema => schema.table === proposal.table);
+    if (!saved) return proposal;
+    addLog(`Using the "${proposal.table}" schema of profile ${activeProfile?.name}`);
+    return { ...proposal, columns: mergeSchema(proposal.columns, saved.columns) };
+  };
+
+  const updateProfiles = (next: ConversionProfile[]) => {
+    try {
+      storeProfiles(next);
+      setProfiles(next);
+      return true;
+    } catch (error) {
+      console.error('[Main] Failed to store profiles:', error);
+      alert(`Could not save profiles in this browser: ${(error as Error).message}`);
+      return false;
+    }
+  };
+
+  const saveProfile = (name: string, filePattern: string) => {
+    const profile = currentProfile(name, filePattern);
+    if (updateProfiles(mergeProfiles(profiles, [profile]))) setActiveProfile(profile);
+  };
+
+  const deleteProfile = (profile: ConversionProfile) => {
+    if (!confirm(`Delete the profile ${profile.name}?`)) return;
+    updateProfiles(profiles.filter(saved => saved.name !== profile.name));
+    if (activeProfile?.name === profile.name) setActiveProfile(null);
+  };
+
+  const importProfiles = async (file: File) => {
+    try {
+      const imported = parseProfiles(await file.text());
+      if (updateProfiles(mergeProfiles(profiles, imported))) {
+        alert(`Imported ${imported.length} ${imported.length === 1 ? 'profile' : 'profiles'}: ${imported.map(profile => profile.name).join(', ')}`);
+      }
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${(error as Error).message}`);
+    }
+  };
+
+  const exportProfiles = () => {
+    downloadBlob(new Blob([serializeProfiles(profiles)], { type: 'application/json' }), 'json-to-sqlite-profiles.json');
+  };
+
+  /**
+   * Copy a link that opens the converter with the options form filled in as it is now
+   */
+  const copyProfileLink = async (name: string, filePattern: string) => {
+    const url = `${window.location.origin}${window.location.pathname}?${profileQuery(currentProfile(name || 'Shared link', filePattern))}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('Link copied to the clipboard');
+    } catch {
+      // Clipboard access can be refused; the link can still be copied by hand
+      prompt('Copy this link:', url);
+    }
+  };
+
+  /**
+   * Reopen a saved database straight into the results view; the worker reads it from storage itself
+   */
+  const openSavedDatabase = (database: SavedDatabase) => {
+    console.log('[Main] Opening saved database:', database.name);
+    setLogs([]);
+    addLog(`Opening ${database.name}...`);
+    const worker = new Worker(WORKER_URL, { type: 'module' });
+    workerRef.current = worker;
+    setOpenedDatabase(database);
+
+    worker.onmessage = (event: MessageEvent<WorkerMessage>) => {
+      const { type, data } = event.data;
+      switch (type) {
+        case 'READY':
+          worker.postMessage({ type: 'summarize' });
+          break;
+        case 'log':
+          addLog(data.message, data.level);
+          break;
+        case 'summary':
+          setTableSummaries(data.tables);
+          setPreviewTable(data.tables.find((table: TableSummary) => table.columns.length > 0)?.name ?? '');
+          setShowOptions(false);
+          setShowDownload(true);
+          break;
+        case 'error':
+          console.error('[Main] Failed to open saved database:', data.message);
+          alert(`Could not open ${database.name}: ${data.message}`);
+          worker.terminate();
+          workerRef.current = null;
+          setOpenedDatabase(null);
+          break;
+      }
+    };
+    worker.postMessage({ type: 'init', data: { savedId: database.id } });
+  };
+
+  const downloadSavedDatabase = async (database: SavedDatabase) => {
+    const result = await requestSaved('readSaved', { id: database.id }, 'savedData');
+    if (result.error) {
+      alert(`Could not read ${database.name}: ${result.error}`);
+      return;
+    }
+    downloadBlob(new Blob([result.data], { type: 'application/x-sqlite3' }), `${database.name}.sqlite`);
+  };
+
+  const deleteSavedDatabase = async (database: SavedDatabase) => {
+    if (!confirm(`Delete the saved copy of ${database.name}?`)) return;
+    const result = await requestSaved('deleteSaved', { id: database.id }, 'savedDeleted');
+    if (result.error) alert(`Could not delete ${database.name}: ${result.error}`);
+    await refreshSavedDatabases();
+  };
+
   const addLog = (message: string, level: 'info' | 'error' | 'warning' = 'info') => {
     const timestamp = new Date().toLocaleTimeString();
     setLogs(prev => [...prev, { timestamp, level, message }]);
   };
 
+  const activeElapsedMs = (): number => {
+    if (!startTimeRef.current) return 0;
+    const now = pausedAtRef.current ?? Date.now();
+    return now - startTimeRef.current - pausedMsRef.current;
+  };
+
   const updateTimer = () => {
     if (!startTimeRef.current) return;
-    const elapsed = (Date.now() - startTimeRef.current) / 1000;
-    setElapsedTime(formatTime(elapsed));
+    setElapsed(activeElapsedMs() / 1000);
   };
 
-  const formatBytes = (bytes: number): string => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+  /**
+   * Queue the chosen files, listing the JSON members of zip archives so they can be picked
+   */
+  const selectFiles = async (selected: File[]) => {
+    const { inputs, errors } = await listInputs(selected);
+    if (errors.length > 0) {
+      console.warn('[Main] Files left out:', errors);
+      alert(`Some files were left out:\n${errors.join('\n')}`);
+    }
+    if (inputs.some(input => input.compression) && typeof DecompressionStream === 'undefined') {
+      alert('This browser cannot decompress files; please choose uncompressed JSON files');
+      return;
+    }
+    if (inputs.length === 0) return;
+    setFiles(queueFiles(inputs, activeProfile?.options.tableName));
+
+    // Offer the first saved profile whose file pattern matches, unless it is already in use
+    const match = inputs
+      .map(input => ({ profile: findProfileForFile(profiles, input.file.name), fileName: input.file.name }))
+      .find(candidate => candidate.profile);
+    setProfileSuggestion(match?.profile && match.profile.name !== activeProfile?.name ? { profile: match.profile, fileName: match.fileName } : null);
+    setShowOptions(true);
   };
 
-  const formatTime = (seconds: number): string => {
-    if (seconds < 60) {
-      return `${seconds.toFixed(1)}s`;
-    }
-    const minutes = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${minutes}m ${secs}s`;
+  const updateFile = (index: number, changes: Partial<QueuedFile>) => {
+    setFiles(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
   };
 
   const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      setSelectedFile(file);
-      setShowOptions(true);
+    const selected = Array.from(e.target.files ?? []);
+    if (selected.length > 0) {
+      selectFiles(selected);
     }
   };
 
+  /**
+   * Read the tables of an existing database so they can be offered as append targets.
+   * A throwaway worker keeps the file out of the conversion worker until it starts.
+   */
+  const handleExistingDbSelect = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0] ?? null;
+    setExistingDb(file);
+    setExistingTables([]);
+    if (!file) return;
+
+    console.log('[Main] Inspecting existing database:', file.name);
+    const data = await file.arrayBuffer();
+    const inspector = new Worker(WORKER_URL, { type: 'module' });
+    inspector.onmessage = (event: MessageEvent<WorkerMessage>) => {
+      const { type, data: result } = event.data;
+      if (type !== 'inspected') return;
+      inspector.terminate();
+      if (result.error) {
+        console.error('[Main] Failed to inspect database:', result.error);
+        alert(`Could not open ${file.name}: ${result.error}`);
+        setExistingDb(null);
+        if (existingDbInputRef.current) existingDbInputRef.current.value = '';
+        return;
+      }
+      setExistingTables(result.tables);
+    };
+    inspector.postMessage({ type: 'inspect', data: { id: 1, data } }, [data]);
+  };
+
   const handleDragEnter = (e: React.DragEvent<HTMLDivElement>) => {
     e.preventDefault();
     e.stopPropagation();
@@ -98,20 +462,18 @@ export default function Home() {
     setIsDragging(false);
   };
 
-  const handleDrop = (e: React.DragEvent<HTMLDivElement>) => {
+  const handleDrop = async (e: React.DragEvent<HTMLDivElement>) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(false);
 
-    const files = e.dataTransfer.files;
-    if (files && files.length > 0) {
-      const file = files[0];
-      if (file.type === 'application/json' || file.name.endsWith('.json')) {
-        setSelectedFile(file);
-        setShowOptions(true);
-      } else {
-        alert('Please drop a JSON file');
-      }
+    const dropped = await collectDroppedFiles(e.dataTransfer);
+    if (dropped.length === 0) return;
+    const jsonFiles = dropped.filter(file => isJsonFile(file) || isZipFile(file));
+    if (jsonFiles.length > 0) {
+      selectFiles(jsonFiles);
+    } else {
+      alert('Please drop JSON or NDJSON files (optionally gzipped), zip archives, or a folder containing them');
     }
   };
 
@@ -124,10 +486,8 @@ export default function Home() {
       case 'READY':
         console.log('[Main] Worker is ready, starting file stream...');
         addLog('Worker ready, starting file stream...');
-        // Start streaming the file now that worker is ready
-        if (selectedFile) {
-          streamFile(selectedFile);
-        }
+        // Start streaming the first file now that worker is ready
+        startFile(0);
         break;
       case 'log':
         addLog(data.message, data.level);
@@ -138,50 +498,342 @@ export default function Home() {
         break;
       case 'progress':
         console.log('[Main] Progress update:', data);
-        setRowsProcessed(data.rowsProcessed);
-        const processingProgress = 50 + (data.progress * 50);
-        setProgress(processingProgress);
+        setRowsProcessed(completedRowsRef.current + data.rowsProcessed);
+        updateProgress(completedBytesRef.current + passBytesRef.current + data.bytesProcessed);
+        break;
+      case 'scanned':
+        // The schema is known, so the same file is streamed again to load it
+        if (!cancelledRef.current) startFile(fileIndexRef.current, false);
         break;
       case 'schema':
         console.log('[Main] Schema detected:', data);
-        addLog(`Schema detected: ${data.columns.length} columns`);
+        addLog(`Schema detected for "${data.table}": ${data.columns.length} columns${data.parent ? ` (child of "${data.parent}")` : ''}`);
         addLog(`Columns: ${data.columns.join(', ')}`);
         break;
+      case 'schemaProposal':
+        console.log('[Main] Schema proposal received:', data);
+        addLog(`Schema ready for review: ${data.columns.length} columns`);
+        holdStreaming(schemaGateRef);
+        setSchemaProposal(withProfileSchema(data));
+        break;
+      case 'optimizeProposal':
+        console.log('[Main] Optimization proposal received:', data);
+        addLog('All rows loaded, choose indexes to build');
+        setOptimizeProposal(data.tables);
+        break;
+      case 'preview':
+        setLivePreview(prev => ({
+          table: data.table,
+          columns: data.columns,
+          totalRows: data.totalRows,
+          rows: prev && prev.table === data.table ? [...prev.rows, ...data.rows] : data.rows
+        }));
+        break;
+      case 'chunkAck':
+        inFlightRef.current--;
+        releaseStreaming(creditGateRef);
+        break;
+
+      case 'state':
+        console.log('[Main] Worker state:', data.state);
+        handleStateChange(data.state);
+        break;
       case 'complete':
         console.log('[Main] Conversion complete:', data);
         handleComplete(data);
         break;
+      case 'saved':
+        addLog(`Kept a copy in this browser (${formatBytes(data.size)})`);
+        break;
       case 'error':
         console.error('[Main] Worker error:', data.message);
         addLog(`Error: ${data.message}`, 'error');
         setStatus('Error occurred');
+        updateFile(fileIndexRef.current, { status: 'error' });
         if (timerRef.current) clearInterval(timerRef.current);
+        // The worker has given up on the file, so stop reading it
+        cancelledRef.current = true;
+        releaseStreaming(pauseGateRef);
+        releaseStreaming(schemaGateRef);
+        releaseStreaming(creditGateRef);
         break;
     }
   };
 
-  const handleComplete = (data: { totalRows: number; dbSize: number }) => {
+  const handleStateChange = (state: RunState) => {
+    setRunState(state);
+    setRequestedState(null);
+    switch (state) {
+      case 'paused':
+        pausedAtRef.current = Date.now();
+        setStatus('Paused');
+        addLog('Conversion paused');
+        break;
+      case 'running':
+        if (pausedAtRef.current) pausedMsRef.current += Date.now() - pausedAtRef.current;
+        pausedAtRef.current = null;
+        setStatus('Processing data...');
+        addLog('Conversion resumed');
+        // Read on only once the worker is back to parsing
+        releaseStreaming(pauseGateRef);
+        break;
+      case 'cancelled':
+        setStatus('Cancelling, saving rows read so far...');
+        addLog('Conversion cancelled, keeping rows already read', 'warning');
+        break;
+    }
+  };
+
+  const pauseConversion = () => {
+    console.log('[Main] Pausing conversion');
+    holdStreaming(pauseGateRef);
+    setRequestedState('paused');
+    workerRef.current?.postMessage({ type: 'pause' });
+  };
+
+  const resumeConversion = () => {
+    console.log('[Main] Resuming conversion');
+    setRequestedState('running');
+    workerRef.current?.postMessage({ type: 'resume' });
+  };
+
+  const cancelConversion = () => {
+    console.log('[Main] Cancelling conversion');
+    cancelledRef.current = true;
+    setRequestedState('cancelled');
+    workerRef.current?.postMessage({ type: 'cancel' });
+    // Let a held stream loop see the cancel and stop reading
+    releaseStreaming(pauseGateRef);
+    releaseStreaming(schemaGateRef);
+    releaseStreaming(creditGateRef);
+    setSchemaProposal(null);
+    setOptimizeProposal(null);
+  };
+
+  const handleComplete = (data: {
+    totalRows: number;
+    dbSize: number;
+    malformedLines: number;
+    skipped: number;
+    quarantined: number;
+    cancelled: boolean;
+    stats: FileRunStats;
+    tables: TableSummary[];
+  }) => {
+    const index = fileIndexRef.current;
+    const runFiles = runFilesRef.current;
+    completedRowsRef.current += data.totalRows;
+    // A cancelled file only counts what the parser got through
+    completedBytesRef.current += data.cancelled
+      ? passBytesRef.current + data.stats.bytes
+      : runFiles[index].file.size * passesRef.current;
+    passBytesRef.current = 0;
+    fileStatsRef.current = addFileRunStats(fileStatsRef.current, data.stats);
+    data.tables.forEach(table => tableNamesRef.current.add(table.name));
+    setRowsProcessed(completedRowsRef.current);
+    updateProgress(completedBytesRef.current);
+    addLog(runFiles.length > 1
+      ? `Finished ${runFiles[index].file.name}: ${data.totalRows.toLocaleString()} rows`
+      : `Conversion complete! Total rows: ${data.totalRows.toLocaleString()}`);
+    if (data.tables.length > 1) {
+      data.tables.forEach(table => addLog(`Table "${table.name}": ${table.rows.toLocaleString()} rows`));
+    }
+    const conflicts = data.tables.reduce(
+      (sum, table) => sum + table.columns.reduce((n, col) => n + col.conflicts, 0), 0
+    );
+    if (conflicts > 0) {
+      addLog(`${conflicts.toLocaleString()} values did not match their column type and were stored as-is`, 'warning');
+    }
+    // A table fed by several files is summarized by the latest one
+    setTableSummaries(prev => [...prev.filter(table => !data.tables.some(t => t.name === table.name)), ...data.tables]);
+    setPreviewTable(prev => prev || (data.tables.find(table => table.columns.length > 0)?.name ?? ''));
+    rejectedRef.current.skipped += data.skipped;
+    rejectedRef.current.quarantined += data.quarantined;
+    if (data.skipped > 0) {
+      const malformed = data.malformedLines > 0 ? `, ${data.malformedLines.toLocaleString()} of them malformed lines` : '';
+      addLog(`Skipped ${data.skipped.toLocaleString()} rejected records${malformed}`, 'warning');
+    }
+    if (data.quarantined > 0) {
+      addLog(`Quarantined ${data.quarantined.toLocaleString()} rejected records in _errors`, 'warning');
+    }
+    if (data.cancelled) {
+      // The file cut short and every file still queued
+      setFiles(prev => prev.map((entry, i) => (
+        i === index ? { ...entry, status: 'cancelled', rows: data.totalRows, tables: data.tables }
+          : i > index ? { ...entry, status: 'cancelled' } : entry
+      )));
+    } else {
+      updateFile(index, { status: 'done', rows: data.totalRows, tables: data.tables });
+    }
+
+    if (index + 1 < runFiles.length && !data.cancelled) {
+      startFile(index + 1);
+      return;
+    }
+
     if (timerRef.current) clearInterval(timerRef.current);
-    setProgress(100);
-    setStatus('Complete!');
-    setRowsProcessed(data.totalRows);
-    addLog(`Conversion complete! Total rows: ${data.totalRows.toLocaleString()}`);
+    if (!data.cancelled) setProgress(100);
+    setStatus(data.cancelled ? 'Cancelled' : 'Complete!');
+    if (runFiles.length > 1) {
+      addLog(`Conversion complete! ${runFiles.length} files, ${completedRowsRef.current.toLocaleString()} rows`);
+    }
     addLog(`Database size: ${formatBytes(data.dbSize)}`);
+    setRunStats({
+      ...fileStatsRef.current,
+      files: runFiles.length,
+      rows: completedRowsRef.current,
+      tables: tableNamesRef.current.size,
+      elapsedMs: activeElapsedMs(),
+      dbSize: data.dbSize,
+      ...rejectedRef.current
+    });
     setShowProgress(false);
     setShowDownload(true);
   };
 
+  /**
+   * One bar for reading, parsing and inserting: bytes consumed by the worker's
+   * parser across all queued files, against their total size times the passes over each
+   */
+  const updateProgress = (bytes: number) => {
+    const totalBytes = runFilesRef.current.reduce((sum, entry) => sum + entry.file.size, 0) * passesRef.current;
+    setBytesProcessed(bytes);
+    setProgress(totalBytes > 0 ? Math.min((bytes / totalBytes) * 100, 100) : 0);
+  };
+
+  /**
+   * Point the worker at the next queued file and stream it. With a schema
+   * scan the file is first streamed for its schema only, and streamed again
+   * once the worker reports it scanned.
+   */
+  const startFile = (index: number, scan = passesRef.current > 1) => {
+    const entry = runFilesRef.current[index];
+    if (!entry) return;
+    fileIndexRef.current = index;
+    passBytesRef.current = passesRef.current > 1 && !scan ? entry.file.size : 0;
+
+    // The extension settles the format up front; otherwise the worker sniffs the first lines
+    const resolvedFormat: InputFormat =
+      inputFormat === 'auto' && NDJSON_FILE_PATTERN.test(entry.file.name) ? 'ndjson' : inputFormat;
+    console.log('[Main] Starting file:', displayName(entry), entry.file.size, 'bytes', { tableName: entry.tableName, inputFormat: resolvedFormat, compression: entry.compression });
+
+    updateFile(index, { status: 'processing' });
+    setLivePreview(null);
+    workerRef.current?.postMessage({
+      type: 'file',
+      data: {
+        name: entry.file.name,
+        size: entry.file.size,
+        tableName: entry.tableName,
+        inputFormat: resolvedFormat,
+        scan,
+        // The worker runs the post-load step after the last file
+        last: index === runFilesRef.current.length - 1
+      }
+    });
+
+    // Compressed files are decompressed here, so progress can follow the compressed bytes read
+    if (!entry.compression && supportsTransferableStreams()) {
+      // The worker pulls from the stream itself, so reading never outruns parsing
+      console.log('[Main] Transferring file stream to worker');
+      const stream = entry.file.stream();
+      workerRef.current?.postMessage({ type: 'stream', data: stream }, [stream]);
+      setStatus('Processing data...');
+    } else {
+      streamFile(entry);
+    }
+  };
+
+  const holdStreaming = (gateRef: React.MutableRefObject<StreamGate | null>) => {
+    if (gateRef.current) return;
+    let resolve = () => {};
+    const promise = new Promise<void>(r => { resolve = r; });
+    gateRef.current = { promise, resolve };
+  };
+
+  const releaseStreaming = (gateRef: React.MutableRefObject<StreamGate | null>) => {
+    gateRef.current?.resolve();
+    gateRef.current = null;
+  };
+
+  /**
+   * Resolve once neither a schema review nor a pause holds the stream
+   */
+  const waitWhileHeld = async () => {
+    for (let gate = schemaGateRef.current ?? pauseGateRef.current; gate && !cancelledRef.current; gate = schemaGateRef.current ?? pauseGateRef.current) {
+      console.log('[Main] Streaming held');
+      await gate.promise;
+    }
+  };
+
+  /**
+   * Resolve once fewer than MAX_IN_FLIGHT_CHUNKS chunks await an acknowledgement
+   */
+  const acquireCredit = async () => {
+    while (inFlightRef.current >= MAX_IN_FLIGHT_CHUNKS && !cancelledRef.current) {
+      holdStreaming(creditGateRef);
+      await creditGateRef.current?.promise;
+    }
+  };
+
+  const applySchema = (columns: SchemaColumn[]) => {
+    console.log('[Main] Applying reviewed schema:', columns);
+    if (schemaProposal) {
+      const table = schemaProposal.table;
+      const reviewed = { table, columns: columns.map(({ kind, stats, ...col }) => col) };
+      setReviewedSchemas(prev => [...prev.filter(schema => schema.table !== table), reviewed]);
+    }
+    workerRef.current?.postMessage({ type: 'applySchema', data: { columns } });
+    setSchemaProposal(null);
+    setStatus('Processing data...');
+    addLog('Schema applied, resuming conversion...');
+    releaseStreaming(schemaGateRef);
+  };
+
+  const applyOptimization = (plan: OptimizePlan | null) => {
+    console.log('[Main] Applying optimization plan:', plan);
+    if (plan) setOptimizationChoice(plan);
+    workerRef.current?.postMessage({ type: 'applyOptimization', data: plan });
+    setOptimizeProposal(null);
+    setStatus(plan ? 'Optimizing database...' : 'Finishing...');
+    if (!plan) addLog('Optimization skipped');
+  };
+
   const startConversion = async () => {
-    if (!selectedFile) return;
+    const selectedFiles = files.filter(entry => entry.selected);
+    if (selectedFiles.length === 0) return;
 
     console.log('[Main] Starting conversion...');
-    console.log('[Main] File:', selectedFile.name, selectedFile.size, 'bytes');
-    console.log('[Main] Configuration:', { tableName, sampleSize, batchSize });
+    console.log('[Main] Files:', selectedFiles.map(displayName));
+    const runFiles = selectedFiles.map(entry => ({ ...entry, tableName: entry.tableName.trim() || 'data', status: 'pending' as const, rows: 0, tables: [] }));
+    runFilesRef.current = runFiles;
+    fileIndexRef.current = 0;
+    completedRowsRef.current = 0;
+    completedBytesRef.current = 0;
+    passesRef.current = schemaScan === 'head' ? 1 : 2;
+    passBytesRef.current = 0;
+    fileStatsRef.current = emptyFileRunStats();
+    tableNamesRef.current = new Set();
+    rejectedRef.current = { skipped: 0, quarantined: 0 };
+    cancelledRef.current = false;
+    pausedAtRef.current = null;
+    pausedMsRef.current = 0;
+    setRunState('running');
+    setRequestedState(null);
+    setFiles(runFiles);
+
+    const keyColumns = conflictKey.split(',').map(key => key.trim()).filter(Boolean);
+    const splitPaths = (paths: string) => paths.split(',').map(path => path.trim()).filter(Boolean);
+
+    console.log('[Main] Configuration:', { sampleSize, schemaScan, batchSize, recordPath, inputFormat, relational, splitTopLevel, reviewSchema, inferStrings, dateStorage, existingDb: existingDb?.name, conflictStrategy, conflictKey: keyColumns, errorPolicy, optimize, keySeparator, maxDepth, includePaths, excludePaths, preserveKeys, jsonPaths, columnBudget, jsonViews, keepCopy });
 
     setShowOptions(false);
     setShowProgress(true);
     setProgress(0);
     setRowsProcessed(0);
+    setBytesProcessed(0);
+    setElapsed(0);
+    setRunStats(null);
     setLogs([]);
     
     startTimeRef.current = Date.now();
@@ -189,8 +841,7 @@ export default function Home() {
 
     try {
       addLog('Initializing database worker...');
-      const basePath = '/json-to-sqlite';
-      workerRef.current = new Worker(`${basePath}/workers/db-worker.js`, { type: 'module' });
+      workerRef.current = new Worker(WORKER_URL, { type: 'module' });
       workerRef.current.onmessage = handleWorkerMessage;
       workerRef.current.onerror = (error) => {
         console.error('[Main] Worker error:', error);
@@ -199,15 +850,46 @@ export default function Home() {
         if (timerRef.current) clearInterval(timerRef.current);
       };
 
+      // Ask the browser not to evict saved databases under storage pressure
+      if (keepCopy) navigator.storage?.persist?.().catch(() => {});
+
+      // The existing database is transferred, not copied, into the worker
+      const existingData = existingDb ? await existingDb.arrayBuffer() : undefined;
+      if (existingDb) {
+        addLog(`Appending to ${existingDb.name} (${formatBytes(existingDb.size)})`);
+      }
+
       console.log('[Main] Sending init message to worker');
       workerRef.current.postMessage({
         type: 'init',
         data: {
-          tableName,
           sampleSize,
-          batchSize
+          schemaScan,
+          batchSize,
+          recordPath,
+          relational,
+          splitTopLevel,
+          reviewSchema,
+          inferStrings,
+          dateStorage,
+          existingDb: existingData,
+          conflictStrategy: existingDb ? conflictStrategy : 'insert',
+          conflictKey: keyColumns,
+          errorPolicy,
+          optimize,
+          keySeparator,
+          maxDepth,
+          includePaths: splitPaths(includePaths),
+          excludePaths: splitPaths(excludePaths),
+          preserveKeys,
+          jsonPaths: splitPaths(jsonPaths),
+          columnBudget,
+          jsonViews,
+          save: keepCopy
+            ? { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, name: exportBaseName(), createdAt: new Date().toISOString() }
+            : null
         }
-      });
+      }, existingData ? [existingData] : []);
 
       // Don't start streaming here - wait for READY message from worker
       addLog('Waiting for worker to initialize...');
@@ -220,52 +902,72 @@ export default function Home() {
     }
   };
 
-  const streamFile = async (file: File) => {
+  const streamFile = async (entry: QueuedFile) => {
     console.log('[Main] Starting file streaming...');
     setStatus('Streaming file...');
+    inFlightRef.current = 0;
     
     try {
-      // Use TextDecoderStream to convert bytes to text automatically
-      // Explicitly specify UTF-8 encoding (which is the default, but makes intention clear)
-      const stream = file.stream().pipeThrough(new TextDecoderStream('utf-8'));
+      // Bytes are counted as read from the file, before any decompression,
+      // so progress is measured against the size of the file on disk
+      let bytesRead = 0;
+      const counted = entry.file.stream().pipeThrough(new TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>({
+        transform(chunk, controller) {
+          bytesRead += chunk.byteLength;
+          controller.enqueue(chunk);
+        }
+      }));
+      // Decompressed text is produced as the file is read, never held whole
+      const stream = entry.compression ? counted.pipeThrough(new DecompressionStream(entry.compression)) : counted;
+
+      // Decode manually rather than through a TextDecoderStream so every text
+      // chunk travels with the number of bytes it came from; the worker counts
+      // them as the parser consumes the text, which drives the progress bar.
+      // Streaming mode keeps multi-byte UTF-8 sequences split across reads intact.
       const reader = stream.getReader();
+      const decoder = new TextDecoder('utf-8');
       
       let chunkCount = 0;
-      const fileSize = file.size;
-      let charsRead = 0;
+      let bytesPosted = 0;
       
-      // Browser's typical read buffer size is 64KB (65536 bytes)
-      // This is used for rough progress estimation only
-      // Note: Actual chunk count may vary due to UTF-8 encoding and browser buffering
-      const ESTIMATED_CHUNK_SIZE = 65536;
-      
-      while (true) {
+      while (!cancelledRef.current) {
+        await waitWhileHeld();
+        if (cancelledRef.current) break;
+
         const { done, value } = await reader.read();
-        if (done) break;
+        if (done || cancelledRef.current) break;
         
-        // 'value' is now a guaranteed String
+        await acquireCredit();
+        if (cancelledRef.current) break;
+        inFlightRef.current++;
         workerRef.current?.postMessage({
           type: 'chunk',
-          data: value
+          data: decoder.decode(value, { stream: true }),
+          bytes: bytesRead - bytesPosted
         });
         
         chunkCount++;
-        charsRead += value.length;
-        // Use chunk count for progress estimation since char count != byte count for UTF-8
-        const estimatedChunks = Math.ceil(fileSize / ESTIMATED_CHUNK_SIZE);
-        const readProgress = Math.min((chunkCount / estimatedChunks) * 50, 50);
-        setProgress(readProgress);
+        bytesPosted = bytesRead;
         
         if (chunkCount % 100 === 0) {
-          console.log(`[Main] Streamed ${chunkCount} chunks (${charsRead} chars)`);
-        }
-        
-        // Yield to event loop every 10 chunks to maintain UI responsiveness
-        if (chunkCount % 10 === 0) {
-          await new Promise(resolve => setTimeout(resolve, 0));
+          console.log(`[Main] Streamed ${chunkCount} chunks (${bytesRead} bytes)`);
         }
       }
       
+      if (cancelledRef.current) {
+        // The worker finalizes what it has on the cancel message, no end is sent
+        await reader.cancel();
+        console.log(`[Main] File streaming cancelled after ${chunkCount} chunks`);
+        return;
+      }
+      
+      // Flush an incomplete trailing sequence as a replacement character
+      const rest = decoder.decode();
+      if (rest) {
+        inFlightRef.current++;
+        workerRef.current?.postMessage({ type: 'chunk', data: rest, bytes: bytesRead - bytesPosted });
+      }
+      
       console.log(`[Main] File streaming complete. Total chunks: ${chunkCount}`);
       workerRef.current?.postMessage({ type: 'end' });
       addLog('File streaming complete, processing data...');
@@ -279,7 +981,7 @@ export default function Home() {
   };
 
   const downloadDatabase = () => {
-    if (!workerRef.current || !selectedFile) return;
+    if (!workerRef.current) return;
     
     console.log('[Main] Requesting database export...');
     addLog('Requesting database export...');
@@ -288,14 +990,8 @@ export default function Home() {
       if (event.data.type === 'exported') {
         console.log('[Main] Database received, creating download link...');
         const blob = new Blob([event.data.data], { type: 'application/x-sqlite3' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${selectedFile.name.replace('.json', '')}.sqlite`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        // Appending keeps the name of the database that was extended
+        downloadBlob(blob, existingDb ? existingDb.name : `${exportBaseName()}.sqlite`);
         
         console.log('[Main] Database download initiated');
         addLog('Database downloaded successfully!');
@@ -307,6 +1003,77 @@ export default function Home() {
     workerRef.current.postMessage({ type: 'export' });
   };
 
+  const exportBaseName = () => {
+    if (openedDatabase) return openedDatabase.name;
+    if (existingDb) return existingDb.name.replace(/\.[^.]+$/, '');
+    if (files.length === 1) return files[0].file.name.replace(JSON_FILE_PATTERN, '');
+    // A single zip archive names the database
+    const archives = new Set(files.map(entry => entry.archive));
+    return archives.size === 1 && files[0].archive ? files[0].archive.replace(/\.zip$/i, '') : 'database';
+  };
+
+  /**
+   * Download the database in the chosen format. Formats other than the SQLite
+   * file arrive from the worker in chunks, which are joined into one Blob.
+   */
+  const downloadExport = () => {
+    const target = EXPORT_TARGETS[exportFormat];
+    if (!target.request) {
+      downloadDatabase();
+      return;
+    }
+    const worker = workerRef.current;
+    if (!worker || exporting) return;
+
+    const id = ++nextExportIdRef.current;
+    const chunks: BlobPart[] = [];
+    console.log(`[Main] Requesting ${target.label} export...`);
+    addLog(`Exporting ${target.label}...`);
+    setExporting(true);
+
+    const exportHandler = (event: MessageEvent<WorkerMessage>) => {
+      const { type, data } = event.data;
+      if ((type !== 'exportChunk' && type !== 'exportDone' && type !== 'exportError') || data.id !== id) return;
+      if (type === 'exportChunk') {
+        chunks.push(data.chunk);
+        return;
+      }
+      worker.removeEventListener('message', exportHandler);
+      setExporting(false);
+      if (type === 'exportError') {
+        addLog(`Export failed: ${data.message}`, 'error');
+        return;
+      }
+      downloadBlob(new Blob(chunks, { type: target.type }), `${exportBaseName()}${target.suffix}`);
+      addLog(`${target.label} downloaded (${formatBytes(data.bytes)})`);
+    };
+
+    worker.addEventListener('message', exportHandler);
+    worker.postMessage({ type: 'exportAs', data: { id, ...target.request } });
+  };
+
+  /**
+   * Download the quarantined records as JSON Lines
+   */
+  const downloadErrorReport = () => {
+    if (!workerRef.current) return;
+    console.log('[Main] Requesting error report...');
+
+    const reportHandler = (event: MessageEvent<WorkerMessage>) => {
+      if (event.data.type !== 'errorReport') return;
+      workerRef.current?.removeEventListener('message', reportHandler);
+      if (event.data.data.error) {
+        addLog(`Failed to build error report: ${event.data.data.error}`, 'error');
+        return;
+      }
+      downloadBlob(new Blob([event.data.data.report], { type: 'application/x-ndjson' }), 'errors.jsonl');
+      addLog('Error report downloaded');
+    };
+
+    workerRef.current.addEventListener('message', reportHandler);
+    workerRef.current.postMessage({ type: 'errorReport' });
+  };
+
   const resetApp = () => {
     if (workerRef.current) {
       workerRef.current.terminate();
@@ -316,20 +1083,58 @@ export default function Home() {
       clearInterval(timerRef.current);
       timerRef.current = null;
     }
+    releaseStreaming(schemaGateRef);
+    releaseStreaming(pauseGateRef);
+    releaseStreaming(creditGateRef);
+    cancelledRef.current = false;
+    pausedAtRef.current = null;
+    pausedMsRef.current = 0;
     
-    setSelectedFile(null);
+    setFiles([]);
+    runFilesRef.current = [];
+    completedRowsRef.current = 0;
+    completedBytesRef.current = 0;
+    rejectedRef.current = { skipped: 0, quarantined: 0 };
+    setExistingDb(null);
+    setExistingTables([]);
+    setSchemaProposal(null);
+    setOptimizeProposal(null);
+    setTableSummaries([]);
+    setLivePreview(null);
+    setPreviewTable('');
     setShowOptions(false);
     setShowProgress(false);
     setShowDownload(false);
+    setExporting(false);
+    setOpenedDatabase(null);
+    refreshSavedDatabases();
     setProgress(0);
     setRowsProcessed(0);
+    setBytesProcessed(0);
+    setRunStats(null);
+    setRunState('running');
+    setRequestedState(null);
     setLogs([]);
-    setElapsedTime('0s');
+    setElapsed(0);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
+    if (existingDbInputRef.current) {
+      existingDbInputRef.current.value = '';
+    }
   };
 
+  // Tables that were actually created (child tables without rows never are)
+  const browsableTables = tableSummaries.filter(table => table.columns.length > 0);
+  const previewSummary = browsableTables.find(table => table.name === previewTable);
+  const findExistingTable = (name: string) => existingTables.find(table => table.name.toLowerCase() === name.trim().toLowerCase());
+  const totalSize = files.reduce((sum, entry) => sum + (entry.selected ? entry.file.size : 0), 0);
+  // Bytes the run reads in all, counting both passes over each file of a schema scan
+  const bytesToRead = totalSize * passesRef.current;
+  // Averaged over the whole run so far, which keeps the ETA steady
+  const bytesPerSecond = elapsed > 0 ? bytesProcessed / elapsed : 0;
+  const eta = bytesPerSecond > 0 && elapsed >= 1 ? Math.max(bytesToRead - bytesProcessed, 0) / bytesPerSecond : null;
+
   return (
     <div className="min-h-screen p-5">
       <div className="max-w-4xl mx-auto bg-white rounded-2xl shadow-2xl overflow-hidden">
@@ -346,7 +1151,8 @@ export default function Home() {
               <input
                 ref={fileInputRef}
                 type="file"
-                accept=".json"
+                accept=".json,.ndjson,.jsonl,.gz,.deflate,.zip"
+                multiple
                 onChange={handleFileSelect}
                 className="hidden"
                 id="fileInput"
@@ -367,18 +1173,33 @@ export default function Home() {
                   className="inline-flex items-center gap-3 px-10 py-5 bg-blue-500 text-white rounded-lg cursor-pointer text-lg font-semibold hover:bg-blue-600 transition-all transform hover:-translate-y-0.5 shadow-lg"
                 >
                   <Upload className="w-6 h-6" />
-                  Choose JSON File
+                  Choose JSON Files
                 </label>
-                <p className="mt-4 text-gray-600">or drag and drop a JSON file here</p>
+                <p className="mt-4 text-gray-600">or drag and drop JSON or NDJSON files (plain, .gz or in a .zip), or a folder of them, here</p>
               </div>
               
-              {selectedFile && (
+              {files.length === 1 && (
                 <div className="mt-5 p-4 bg-gray-50 rounded-lg border border-gray-200">
-                  <p><strong>Selected File:</strong> {selectedFile.name}</p>
-                  <p><strong>Size:</strong> {formatBytes(selectedFile.size)}</p>
-                  <p><strong>Type:</strong> {selectedFile.type || 'application/json'}</p>
+                  <p><strong>Selected File:</strong> {displayName(files[0])}</p>
+                  <p><strong>Size:</strong> {formatBytes(files[0].file.size)}</p>
+                  <p><strong>Type:</strong> {files[0].file.type || 'application/json'}{files[0].compression && ` (${files[0].compression} compressed)`}</p>
                 </div>
               )}
+              {files.length > 1 && (
+                <div className="mt-5 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                  <p><strong>Selected Files:</strong> {files.filter(entry => entry.selected).length} of {files.length}</p>
+                  <p><strong>Total Size:</strong> {formatBytes(totalSize)}</p>
+                </div>
+              )}
+
+              {files.length === 0 && savedDatabases.length > 0 && (
+                <SavedDatabases
+                  databases={savedDatabases}
+                  onOpen={openSavedDatabase}
+                  onDownload={downloadSavedDatabase}
+                  onDelete={deleteSavedDatabase}
+                />
+              )}
             </section>
           )}
 
@@ -386,17 +1207,133 @@ export default function Home() {
           {showOptions && (
             <section className="bg-gray-50 p-6 rounded-lg mb-8">
               <h2 className="text-2xl font-bold mb-5">Options</h2>
+
+              <ConversionProfiles
+                profiles={profiles}
+                active={activeProfile}
+                suggestion={profileSuggestion?.profile ?? null}
+                suggestedFor={profileSuggestion?.fileName ?? ''}
+                onSelect={applyProfile}
+                onSave={saveProfile}
+                onDelete={deleteProfile}
+                onImport={importProfiles}
+                onExport={exportProfiles}
+                onCopyLink={copyProfileLink}
+                onDismissSuggestion={() => setProfileSuggestion(null)}
+              />
               
               <div className="space-y-4">
                 <div>
-                  <label className="block font-semibold mb-2">Table Name:</label>
+                  <label className="block font-semibold mb-2">Existing Database (optional):</label>
                   <input
-                    type="text"
-                    value={tableName}
-                    onChange={(e) => setTableName(e.target.value)}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    placeholder="data"
+                    ref={existingDbInputRef}
+                    type="file"
+                    accept=".sqlite,.sqlite3,.db"
+                    onChange={handleExistingDbSelect}
+                    className="w-full"
                   />
+                  <small className="text-gray-600">
+                    Append into an existing SQLite file instead of creating a new one
+                    {existingDb && existingTables.length > 0 && ` (${existingTables.length} tables)`}
+                  </small>
+                </div>
+
+                <div>
+                  <label className="block font-semibold mb-2">{files.length > 1 ? 'Table Names:' : 'Table Name:'}</label>
+                  <div className="space-y-2">
+                    {files.map((entry, i) => {
+                      const targetTable = findExistingTable(entry.tableName);
+                      return (
+                        <div key={i}>
+                          {files.length > 1 && !entry.archive && (
+                            <span className="block text-sm font-mono text-gray-600 mb-1">
+                              {entry.file.name} ({formatBytes(entry.file.size)})
+                            </span>
+                          )}
+                          {entry.archive && (
+                            <label className="flex items-center gap-2 text-sm font-mono text-gray-600 mb-1">
+                              <input
+                                type="checkbox"
+                                checked={entry.selected}
+                                onChange={(e) => updateFile(i, { selected: e.target.checked })}
+                              />
+                              {displayName(entry)} ({formatBytes(entry.file.size)} compressed)
+                            </label>
+                          )}
+                          <input
+                            type="text"
+                            value={entry.tableName}
+                            disabled={!entry.selected}
+                            onChange={(e) => updateFile(i, { tableName: e.target.value })}
+                            list="existingTables"
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            placeholder="data"
+                          />
+                          {targetTable && (
+                            <small className="text-gray-600">
+                              Rows are appended to the existing table ({targetTable.rows.toLocaleString()} rows: {targetTable.columns.join(', ')}). New keys become new columns
+                            </small>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <datalist id="existingTables">
+                    {existingTables.map(table => (
+                      <option key={table.name} value={table.name} />
+                    ))}
+                  </datalist>
+                  {files.length > 1 && (
+                    <small className="text-gray-600">
+                      Files are converted one after another into the same database; files sharing a table name are appended into one table.
+                      Untick members of a zip archive to leave them out
+                    </small>
+                  )}
+                </div>
+
+                {existingDb && (
+                  <div>
+                    <label className="block font-semibold mb-2">On Conflict:</label>
+                    <select
+                      value={conflictStrategy}
+                      onChange={(e) => setConflictStrategy(e.target.value as ConflictStrategy)}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="insert">Insert (append all rows)</option>
+                      <option value="replace">Replace rows violating a unique constraint</option>
+                      <option value="upsert">Upsert on key columns</option>
+                    </select>
+                    {conflictStrategy === 'upsert' && (
+                      <input
+                        type="text"
+                        value={conflictKey}
+                        onChange={(e) => setConflictKey(e.target.value)}
+                        className="w-full mt-2 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono"
+                        placeholder="id"
+                      />
+                    )}
+                    <small className="text-gray-600">
+                      {conflictStrategy === 'upsert'
+                        ? 'Comma-separated key columns; matching rows are updated with the incoming values'
+                        : 'Replace relies on the primary key or unique indexes already in the table'}
+                    </small>
+                  </div>
+                )}
+
+                <div>
+                  <label className="block font-semibold mb-2">On Error:</label>
+                  <select
+                    value={errorPolicy}
+                    onChange={(e) => setErrorPolicy(e.target.value as ErrorPolicy)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="skip">Skip bad records</option>
+                    <option value="quarantine">Quarantine bad records in _errors</option>
+                    <option value="abort">Abort the conversion</option>
+                  </select>
+                  <small className="text-gray-600">
+                    Applies to malformed lines, rows the database rejects and JSON syntax errors, which end the file but keep the records before them. A failing batch is retried row by row
+                  </small>
                 </div>
 
                 <div>
@@ -412,6 +1349,22 @@ export default function Home() {
                   <small className="text-gray-600">Number of objects to scan for schema discovery</small>
                 </div>
 
+                <div>
+                  <label className="block font-semibold mb-2">Schema Detection:</label>
+                  <select
+                    value={schemaScan}
+                    onChange={(e) => setSchemaScan(e.target.value as SchemaScan)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="head">First records of the file</option>
+                    <option value="reservoir">Random sample of the whole file</option>
+                    <option value="full">Full scan of the whole file</option>
+                  </select>
+                  <small className="text-gray-600">
+                    The random sample and the full scan read each file twice: once for the schema, once to load it. A full scan creates each table with exact types and never adds columns later; the schema review preselects NOT NULL on columns it found never null
+                  </small>
+                </div>
+
                 <div>
                   <label className="block font-semibold mb-2">Batch Size:</label>
                   <input
@@ -425,9 +1378,254 @@ export default function Home() {
                   <small className="text-gray-600">Number of rows per transaction</small>
                 </div>
 
+                <div>
+                  <label className="block font-semibold mb-2">Input Format:</label>
+                  <select
+                    value={inputFormat}
+                    onChange={(e) => setInputFormat(e.target.value as InputFormat)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="auto">Auto-detect</option>
+                    <option value="json">JSON</option>
+                    <option value="ndjson">NDJSON / JSON Lines</option>
+                  </select>
+                  <small className="text-gray-600">Detected from the file extension or first lines when set to auto</small>
+                </div>
+
+                <div>
+                  <label className="block font-semibold mb-2">Record Path:</label>
+                  <input
+                    type="text"
+                    value={recordPath}
+                    onChange={(e) => setRecordPath(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono"
+                    placeholder="auto"
+                  />
+                  <small className="text-gray-600">
+                    JSONPath of the records to import, e.g. <code>$.data.items.*</code>. Leave empty to stream a top-level array. Ignored for NDJSON
+                  </small>
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 font-semibold">
+                    <input
+                      type="checkbox"
+                      checked={splitTopLevel}
+                      onChange={(e) => setSplitTopLevel(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    One Table per Top-Level Key
+                  </label>
+                  <small className="text-gray-600">
+                    For documents like <code>{'{ "users": [...], "orders": [...] }'}</code>: each array of objects becomes a table named after its key and other top-level values go to a <code>_meta</code> key/value table. Applies when no record path is set; the file is always read as JSON, and NDJSON files fail
+                  </small>
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 font-semibold">
+                    <input
+                      type="checkbox"
+                      checked={relational}
+                      onChange={(e) => setRelational(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    Relational Mode
+                  </label>
+                  <small className="text-gray-600">
+                    Store arrays of objects in child tables (e.g. <code>{files[0]?.tableName || 'data'}_items</code>) linked by <code>_parent_id</code> instead of JSON text
+                  </small>
+                </div>
+
+                <div>
+                  <label className="block font-semibold mb-2">Key Separator:</label>
+                  <input
+                    type="text"
+                    value={keySeparator}
+                    onChange={(e) => setKeySeparator(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono"
+                    placeholder="_"
+                  />
+                  <small className="text-gray-600">
+                    Joins nested keys into column names, e.g. <code>user{keySeparator}address{keySeparator}city</code>. Characters other than letters, digits and <code>_</code> are only kept with original key names
+                  </small>
+                </div>
+
+                <div>
+                  <label className="block font-semibold mb-2">Max Flattening Depth:</label>
+                  <input
+                    type="number"
+                    value={maxDepth}
+                    onChange={(e) => setMaxDepth(Number(e.target.value))}
+                    min="0"
+                    max="100"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <small className="text-gray-600">Objects nested deeper are stored as JSON text; 0 flattens everything</small>
+                </div>
+
+                <div>
+                  <label className="block font-semibold mb-2">Include Paths:</label>
+                  <input
+                    type="text"
+                    value={includePaths}
+                    onChange={(e) => setIncludePaths(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono"
+                    placeholder="all"
+                  />
+                  <small className="text-gray-600">
+                    Comma-separated key paths to keep, e.g. <code>id, user.name, orders</code>; <code>*</code> matches any one key. Leave empty to keep everything
+                  </small>
+                </div>
+
+                <div>
+                  <label className="block font-semibold mb-2">Exclude Paths:</label>
+                  <input
+                    type="text"
+                    value={excludePaths}
+                    onChange={(e) => setExcludePaths(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono"
+                    placeholder="none"
+                  />
+                  <small className="text-gray-600">
+                    Comma-separated key paths to drop with everything below them, e.g. <code>user.password, *.internal</code>
+                  </small>
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 font-semibold">
+                    <input
+                      type="checkbox"
+                      checked={preserveKeys}
+                      onChange={(e) => setPreserveKeys(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    Keep Original Key Names
+                  </label>
+                  <small className="text-gray-600">
+                    Use keys as quoted identifiers, e.g. <code>&quot;first name&quot;</code>, instead of replacing other characters with <code>_</code>
+                  </small>
+                </div>
+
+                <div>
+                  <label className="block font-semibold mb-2">JSON Columns:</label>
+                  <input
+                    type="text"
+                    value={jsonPaths}
+                    onChange={(e) => setJsonPaths(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono"
+                    placeholder="none"
+                  />
+                  <small className="text-gray-600">
+                    Comma-separated key paths stored whole as JSON text instead of being flattened, e.g. <code>attributes, *.settings</code>
+                  </small>
+                </div>
+
+                <div>
+                  <label className="block font-semibold mb-2">Column Budget:</label>
+                  <input
+                    type="number"
+                    value={columnBudget}
+                    onChange={(e) => setColumnBudget(Number(e.target.value))}
+                    min="0"
+                    max="2000"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <small className="text-gray-600">Nested objects that would push a table past this many columns are stored as JSON text; 0 for no limit</small>
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 font-semibold">
+                    <input
+                      type="checkbox"
+                      checked={jsonViews}
+                      onChange={(e) => setJsonViews(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    Create JSON Field Views
+                  </label>
+                  <small className="text-gray-600">
+                    Add a <code>{files[0]?.tableName || 'data'}_view</code> view exposing common nested fields of JSON columns through <code>json_extract</code>
+                  </small>
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 font-semibold">
+                    <input
+                      type="checkbox"
+                      checked={inferStrings}
+                      onChange={(e) => setInferStrings(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    Detect Types in Strings
+                  </label>
+                  <small className="text-gray-600">
+                    Store numeric, boolean (<code>true</code>/<code>false</code>) and ISO-8601 date strings as typed values
+                  </small>
+                </div>
+
+                <div>
+                  <label className="block font-semibold mb-2">Date Storage:</label>
+                  <select
+                    value={dateStorage}
+                    onChange={(e) => setDateStorage(e.target.value as DateStorage)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="iso">ISO-8601 text</option>
+                    <option value="epoch">Unix epoch seconds (INTEGER)</option>
+                    <option value="julian">Julian day (REAL)</option>
+                  </select>
+                  <small className="text-gray-600">How detected dates and datetimes are written to the database</small>
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 font-semibold">
+                    <input
+                      type="checkbox"
+                      checked={reviewSchema}
+                      onChange={(e) => setReviewSchema(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    Review Schema Before Import
+                  </label>
+                  <small className="text-gray-600">
+                    Pause after sampling to rename, retype or drop columns and add constraints
+                  </small>
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 font-semibold">
+                    <input
+                      type="checkbox"
+                      checked={optimize}
+                      onChange={(e) => setOptimize(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    Optimize After Load
+                  </label>
+                  <small className="text-gray-600">
+                    Once all rows are in, choose a primary key, indexes and full-text search columns, and run ANALYZE and VACUUM before export
+                  </small>
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 font-semibold">
+                    <input
+                      type="checkbox"
+                      checked={keepCopy}
+                      onChange={(e) => setKeepCopy(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    Keep a Copy in This Browser
+                  </label>
+                  <small className="text-gray-600">
+                    Save the database on this device after each file, so it survives a reload and can be reopened from the start page
+                  </small>
+                </div>
+
                 <button
                   onClick={startConversion}
-                  className="w-full py-3 bg-blue-500 text-white rounded-lg font-semibold hover:bg-blue-600 transition-all"
+                  disabled={!files.some(entry => entry.selected)}
+                  className="w-full py-3 bg-blue-500 text-white rounded-lg font-semibold hover:bg-blue-600 transition-all disabled:opacity-50"
                 >
                   Start Conversion
                 </button>
@@ -451,6 +1649,38 @@ export default function Home() {
                 </div>
               </div>
 
+              <div className="flex flex-col sm:flex-row gap-3 mb-5">
+                {runState === 'paused' ? (
+                  <button
+                    onClick={resumeConversion}
+                    disabled={requestedState !== null}
+                    className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg font-semibold hover:bg-blue-600 transition-all disabled:opacity-50"
+                  >
+                    <Play className="w-4 h-4" />
+                    {requestedState === 'running' ? 'Resuming...' : 'Resume'}
+                  </button>
+                ) : (
+                  <button
+                    onClick={pauseConversion}
+                    disabled={requestedState !== null || runState === 'cancelled'}
+                    className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-gray-600 text-white rounded-lg font-semibold hover:bg-gray-700 transition-all disabled:opacity-50"
+                  >
+                    <Pause className="w-4 h-4" />
+                    {requestedState === 'paused' ? 'Pausing...' : 'Pause'}
+                  </button>
+                )}
+                <button
+                  onClick={cancelConversion}
+                  disabled={requestedState === 'cancelled' || runState === 'cancelled'}
+                  className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-red-500 text-white rounded-lg font-semibold hover:bg-red-600 transition-all disabled:opacity-50"
+                >
+                  <XCircle className="w-4 h-4" />
+                  {requestedState === 'cancelled' || runState === 'cancelled' ? 'Cancelling...' : 'Cancel'}
+                </button>
+              </div>
+
+              {files.length > 1 && <FileQueue files={files} />}
+
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-5">
                 <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
                   <span className="block text-sm text-gray-600 mb-1">Status:</span>
@@ -462,10 +1692,49 @@ export default function Home() {
                 </div>
                 <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
                   <span className="block text-sm text-gray-600 mb-1">Time Elapsed:</span>
-                  <span className="block text-xl font-bold">{elapsedTime}</span>
+                  <span className="block text-xl font-bold">{formatTime(elapsed)}</span>
+                </div>
+                <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                  <span className="block text-sm text-gray-600 mb-1">Data Processed:</span>
+                  <span className="block text-xl font-bold">{formatBytes(bytesProcessed)} of {formatBytes(bytesToRead)}</span>
+                  {passesRef.current > 1 && <small className="text-gray-600">Each file is read twice for the schema scan</small>}
+                </div>
+                <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                  <span className="block text-sm text-gray-600 mb-1">Throughput:</span>
+                  <span className="block text-xl font-bold">
+                    {formatRate(rowsProcessed, elapsed)} rows/s · {formatBytes(bytesPerSecond)}/s
+                  </span>
+                </div>
+                <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                  <span className="block text-sm text-gray-600 mb-1">Time Remaining:</span>
+                  <span className="block text-xl font-bold">{eta === null ? '—' : formatTime(eta)}</span>
                 </div>
               </div>
 
+              {schemaProposal && (
+                <SchemaEditor
+                  table={schemaProposal.table}
+                  sampled={schemaProposal.sampled}
+                  columns={schemaProposal.columns}
+                  onApply={applySchema}
+                />
+              )}
+
+              {optimizeProposal && (
+                <OptimizeEditor tables={optimizeProposal} initial={activeProfile?.optimization} onApply={applyOptimization} />
+              )}
+
+              {livePreview && (
+                <DataPreview
+                  worker={workerRef.current}
+                  table={livePreview.table}
+                  columns={livePreview.columns}
+                  totalRows={livePreview.totalRows}
+                  liveRows={livePreview.rows}
+                  complete={false}
+                />
+              )}
+
               {logs.length > 0 && (
                 <div className="max-h-48 overflow-y-auto bg-gray-900 text-green-400 p-4 rounded-lg font-mono text-sm">
                   {logs.map((log, i) => (
@@ -484,16 +1753,89 @@ export default function Home() {
           {/* Download Section */}
           {showDownload && (
             <section className="text-center p-8 bg-gray-50 rounded-lg">
-              <h2 className="text-3xl font-bold mb-5">✅ Conversion Complete!</h2>
+              {openedDatabase ? (
+                <>
+                  <h2 className="text-3xl font-bold mb-2">📂 {openedDatabase.name}</h2>
+                  <p className="mb-5 text-gray-600">
+                    Saved {new Date(openedDatabase.updatedAt).toLocaleString()}. Changes made in the query console are not saved back.
+                  </p>
+                </>
+              ) : runState === 'cancelled' ? (
+                <>
+                  <h2 className="text-3xl font-bold mb-2">⏹️ Conversion Cancelled</h2>
+                  <p className="mb-5 text-gray-600">Rows read before cancelling were kept and can still be downloaded.</p>
+                </>
+              ) : (
+                <h2 className="text-3xl font-bold mb-5">✅ Conversion Complete!</h2>
+              )}
+
+              {files.length > 1 && <FileQueue files={files} />}
+
+              {runStats && <RunSummary stats={runStats} />}
+
+              {tableSummaries.length > 0 && (
+                <div className="mb-6">
+                  <ColumnStats tables={tableSummaries} />
+                </div>
+              )}
+
+              {previewSummary && (
+                <>
+                  {browsableTables.length > 1 && (
+                    <div className="flex items-center gap-2 mb-3 text-left">
+                      <label className="font-semibold">Table:</label>
+                      <select
+                        value={previewTable}
+                        onChange={(e) => setPreviewTable(e.target.value)}
+                        className="px-3 py-1 border border-gray-300 rounded-lg font-mono"
+                      >
+                        {browsableTables.map(table => (
+                          <option key={table.name} value={table.name}>{table.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  <DataPreview
+                    worker={workerRef.current}
+                    table={previewSummary.name}
+                    columns={previewSummary.columns}
+                    totalRows={previewSummary.storedRows}
+                    liveRows={[]}
+                    complete
+                  />
+                </>
+              )}
               
               <div className="flex flex-col sm:flex-row gap-4 justify-center">
-                <button
-                  onClick={downloadDatabase}
-                  className="inline-flex items-center justify-center gap-3 px-8 py-4 bg-green-500 text-white rounded-lg font-semibold hover:bg-green-600 transition-all"
-                >
-                  <Download className="w-5 h-5" />
-                  Download SQLite Database
-                </button>
+                <div className="inline-flex">
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value as ExportFormat)}
+                    aria-label="Export format"
+                    className="px-3 border border-green-500 rounded-l-lg bg-white"
+                  >
+                    {(Object.keys(EXPORT_TARGETS) as ExportFormat[]).map(format => (
+                      <option key={format} value={format}>{EXPORT_TARGETS[format].label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={downloadExport}
+                    disabled={exporting}
+                    className="inline-flex items-center justify-center gap-3 px-8 py-4 bg-green-500 text-white rounded-r-lg font-semibold hover:bg-green-600 transition-all disabled:opacity-50"
+                  >
+                    <Download className="w-5 h-5" />
+                    {exporting ? 'Exporting...' : 'Download'}
+                  </button>
+                </div>
+                {runStats && runStats.quarantined > 0 && (
+                  <button
+                    onClick={downloadErrorReport}
+                    className="inline-flex items-center justify-center gap-3 px-8 py-4 bg-yellow-500 text-white rounded-lg font-semibold hover:bg-yellow-600 transition-all"
+                  >
+                    <FileWarning className="w-5 h-5" />
+                    Download Error Report
+                  </button>
+                )}
                 <button
                   onClick={resetApp}
                   className="inline-flex items-center justify-center gap-3 px-8 py-4 bg-gray-600 text-white rounded-lg font-semibold hover:bg-gray-700 transition-all"
@@ -502,6 +1844,11 @@ export default function Home() {
                   Convert Another File
                 </button>
               </div>
+
+              <QueryConsole
+                worker={workerRef.current}
+                tables={browsableTables.map(table => table.name)}
+              />
             </section>
           )}
         </main>
@@ -0,0 +1,260 @@
+import type { SchemaColumn, SchemaFile } from './SchemaEditor';
+import type { OptimizePlan } from './OptimizeEditor';
+import { EXPORT_TARGETS, ExportFormat } from './download';
+
+export type InputFormat = 'auto' | 'json' | 'ndjson';
+export type DateStorage = 'iso' | 'epoch' | 'julian';
+export type ConflictStrategy = 'insert' | 'replace' | 'upsert';
+// What happens to a record that cannot be parsed or inserted
+export type ErrorPolicy = 'skip' | 'quarantine' | 'abort';
+// Which records the schema is detected from: the first ones, a random sample of the file, or all of them
+export type SchemaScan = 'head' | 'reservoir' | 'full';
+
+// Everything the options form sets, as the form holds it
+export interface ProfileOptions {
+  tableName: string; // Used when a single file is converted
+  sampleSize: number;
+  schemaScan: SchemaScan;
+  batchSize: number;
+  recordPath: string;
+  inputFormat: InputFormat;
+  relational: boolean;
+  splitTopLevel: boolean;
+  keySeparator: string;
+  maxDepth: number;
+  includePaths: string; // Comma-separated, like the form fields
+  excludePaths: string;
+  preserveKeys: boolean;
+  jsonPaths: string;
+  columnBudget: number;
+  jsonViews: boolean;
+  reviewSchema: boolean;
+  optimize: boolean;
+  inferStrings: boolean;
+  dateStorage: DateStorage;
+  conflictStrategy: ConflictStrategy;
+  conflictKey: string;
+  errorPolicy: ErrorPolicy;
+  keepCopy: boolean;
+  exportFormat: ExportFormat;
+}
+
+export interface ConversionProfile {
+  name: string;
+  filePattern: string; // e.g. "orders-*.json"; files matching it suggest the profile
+  options: ProfileOptions;
+  schemas: SchemaFile[]; // Reviewed columns per table, merged into the schema proposals
+  optimization: OptimizePlan | null; // Index choices, preselected in the optimize step
+}
+
+export const DEFAULT_OPTIONS: ProfileOptions = {
+  tableName: 'data',
+  sampleSize: 100,
+  schemaScan: 'head',
+  batchSize: 1000,
+  recordPath: '',
+  inputFormat: 'auto',
+  relational: false,
+  splitTopLevel: false,
+  keySeparator: '_',
+  maxDepth: 0,
+  includePaths: '',
+  excludePaths: '',
+  preserveKeys: false,
+  jsonPaths: '',
+  columnBudget: 0,
+  jsonViews: false,
+  reviewSchema: false,
+  optimize: false,
+  inferStrings: true,
+  dateStorage: 'iso',
+  conflictStrategy: 'insert',
+  conflictKey: '',
+  errorPolicy: 'skip',
+  keepCopy: true,
+  exportFormat: 'sqlite'
+};
+
+// Values accepted by the options offered as a select
+const CHOICES: Partial<Record<keyof ProfileOptions, readonly string[]>> = {
+  inputFormat: ['auto', 'json', 'ndjson'],
+  schemaScan: ['head', 'reservoir', 'full'],
+  dateStorage: ['iso', 'epoch', 'julian'],
+  conflictStrategy: ['insert', 'replace', 'upsert'],
+  errorPolicy: ['skip', 'quarantine', 'abort'],
+  exportFormat: Object.keys(EXPORT_TARGETS)
+};
+
+const STORAGE_KEY = 'json-to-sqlite.profiles';
+const FILE_VERSION = 1;
+// Query parameters that are not options
+const NAME_PARAM = 'profile';
+const PATTERN_PARAM = 'pattern';
+const SCHEMAS_PARAM = 'schemas';
+const OPTIMIZATION_PARAM = 'optimization';
+
+const OPTION_KEYS = Object.keys(DEFAULT_OPTIONS) as (keyof ProfileOptions)[];
+
+/**
+ * Coerce one option from a profile file or query parameter to the type of its
+ * default, or undefined when it does not fit
+ */
+function readOption(key: keyof ProfileOptions, value: unknown): ProfileOptions[keyof ProfileOptions] | undefined {
+  const fallback = DEFAULT_OPTIONS[key];
+  if (typeof fallback === 'number') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? number : undefined;
+  }
+  if (typeof fallback === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return undefined;
+  }
+  if (typeof value !== 'string') return undefined;
+  const choices = CHOICES[key];
+  if (choices && !choices.includes(value)) return undefined;
+  return value;
+}
+
+/**
+ * Options from untrusted input over the defaults; unknown or invalid values are dropped
+ */
+function readOptions(source: (key: keyof ProfileOptions) => unknown): ProfileOptions {
+  const options: Record<string, unknown> = { ...DEFAULT_OPTIONS };
+  for (const key of OPTION_KEYS) {
+    const value = readOption(key, source(key));
+    if (value !== undefined) options[key] = value;
+  }
+  return options as unknown as ProfileOptions;
+}
+
+const isSchemaFile = (value: any): value is SchemaFile =>
+  typeof value?.table === 'string' && Array.isArray(value.columns) &&
+  value.columns.every((col: Partial<SchemaColumn>) => typeof col?.source === 'string' && typeof col.name === 'string');
+
+const isOptimizePlan = (value: any): value is OptimizePlan =>
+  Array.isArray(value?.tables) &&
+  value.tables.every((table: any) => typeof table?.name === 'string' && Array.isArray(table.indexes) && Array.isArray(table.fullText));
+
+/**
+ * Check a profile read from a file, storage or a link
+ */
+function readProfile(value: any): ConversionProfile {
+  if (typeof value?.name !== 'string' || !value.name.trim()) throw new Error('a profile has no name');
+  const source = value.options && typeof value.options === 'object' ? value.options : {};
+  return {
+    name: value.name.trim(),
+    filePattern: typeof value.filePattern === 'string' ? value.filePattern.trim() : '',
+    options: readOptions(key => source[key]),
+    schemas: Array.isArray(value.schemas) ? value.schemas.filter(isSchemaFile) : [],
+    optimization: isOptimizePlan(value.optimization) ? value.optimization : null
+  };
+}
+
+/**
+ * Profiles saved in this browser; unreadable storage yields none
+ */
+export function loadProfiles(): ConversionProfile[] {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(stored) ? stored.map(readProfile) : [];
+  } catch (error) {
+    console.warn('[Profiles] Could not read saved profiles:', error);
+    return [];
+  }
+}
+
+export function storeProfiles(profiles: ConversionProfile[]) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Add or replace profiles by name, case-insensitively, keeping the list sorted
+ */
+export function mergeProfiles(profiles: ConversionProfile[], added: ConversionProfile[]): ConversionProfile[] {
+  const byName = new Map(profiles.map(profile => [profile.name.toLowerCase(), profile]));
+  for (const profile of added) byName.set(profile.name.toLowerCase(), profile);
+  return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The contents of an exported profiles file
+ */
+export function serializeProfiles(profiles: ConversionProfile[]): string {
+  return JSON.stringify({ version: FILE_VERSION, profiles }, null, 2);
+}
+
+/**
+ * Read a profiles file: an exported list, or a single profile
+ */
+export function parseProfiles(text: string): ConversionProfile[] {
+  const parsed = JSON.parse(text);
+  if (Array.isArray(parsed?.profiles)) return parsed.profiles.map(readProfile);
+  return [readProfile(parsed)];
+}
+
+/**
+ * Whether a file name matches a pattern where `*` stands for any run of
+ * characters and `?` for one; case-insensitive, like file systems users expect
+ */
+export function matchesFilePattern(pattern: string, fileName: string): boolean {
+  if (!pattern) return false;
+  const source = pattern.split('').map(char =>
+    char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  ).join('');
+  return new RegExp(`^${source}$`, 'i').test(fileName);
+}
+
+/**
+ * The first saved profile whose pattern matches the file name
+ */
+export function findProfileForFile(profiles: ConversionProfile[], fileName: string): ConversionProfile | null {
+  return profiles.find(profile => matchesFilePattern(profile.filePattern, fileName)) ?? null;
+}
+
+/**
+ * Query parameters describing a profile: options that differ from the
+ * defaults under their own names, plus reviewed schemas and index choices as JSON
+ */
+export function profileQuery(profile: ConversionProfile): URLSearchParams {
+  const params = new URLSearchParams();
+  params.set(NAME_PARAM, profile.name);
+  if (profile.filePattern) params.set(PATTERN_PARAM, profile.filePattern);
+  for (const key of OPTION_KEYS) {
+    if (profile.options[key] !== DEFAULT_OPTIONS[key]) params.set(key, String(profile.options[key]));
+  }
+  if (profile.schemas.length > 0) params.set(SCHEMAS_PARAM, JSON.stringify(profile.schemas));
+  if (profile.optimization) params.set(OPTIMIZATION_PARAM, JSON.stringify(profile.optimization));
+  return params;
+}
+
+/**
+ * The profile a link asks for. `?profile=<name>` alone selects a saved
+ * profile; option parameters describe one, named by `profile` if given.
+ * Returns null when the query holds neither.
+ */
+export function profileFromQuery(search: string, profiles: ConversionProfile[]): ConversionProfile | null {
+  const params = new URLSearchParams(search);
+  const name = params.get(NAME_PARAM)?.trim() ?? '';
+  const hasOptions = OPTION_KEYS.some(key => params.has(key)) || params.has(SCHEMAS_PARAM) || params.has(OPTIMIZATION_PARAM);
+  if (!hasOptions) {
+    return profiles.find(profile => profile.name.toLowerCase() === name.toLowerCase()) ?? null;
+  }
+
+  const readJson = (param: string) => {
+    try {
+      return JSON.parse(params.get(param) ?? 'null');
+    } catch {
+      console.warn(`[Profiles] Ignoring invalid ${param} parameter`);
+      return null;
+    }
+  };
+  return readProfile({
+    name: name || 'Shared link',
+    filePattern: params.get(PATTERN_PARAM) ?? '',
+    options: Object.fromEntries(OPTION_KEYS.filter(key => params.has(key)).map(key => [key, params.get(key)])),
+    schemas: readJson(SCHEMAS_PARAM),
+    optimization: readJson(OPTIMIZATION_PARAM)
+  });
+}
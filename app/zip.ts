@@ -0,0 +1,122 @@
+// Record signatures, little-endian
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const CENTRAL_FILE_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// The end record is 22 bytes followed by a comment of up to 64 KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+const ZIP64_EXTRA_FIELD = 0x0001;
+
+export interface ZipMember {
+  path: string; // Path inside the archive, e.g. "exports/orders.json"
+  method: number; // 0 stored, 8 deflated
+  encrypted: boolean;
+  compressedSize: number;
+  size: number;
+  localHeaderOffset: number;
+}
+
+const readBytes = async (file: Blob, start: number, end: number) =>
+  new DataView(await file.slice(start, end).arrayBuffer());
+
+// Sizes and offsets past 4 GB only exist in zip64 records, read as 64-bit values
+const readUint64 = (view: DataView, offset: number): number =>
+  view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+
+/**
+ * Locate the central directory through the end record at the back of the archive
+ */
+async function findCentralDirectory(zip: File) {
+  const tailStart = Math.max(0, zip.size - MAX_END_RECORD_SEARCH);
+  const tail = await readBytes(zip, tailStart, zip.size);
+  let end = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('not a zip archive');
+
+  const entries = tail.getUint16(end + 10, true);
+  const size = tail.getUint32(end + 12, true);
+  const offset = tail.getUint32(end + 16, true);
+  if (entries !== 0xffff && size !== 0xffffffff && offset !== 0xffffffff) {
+    return { entries, size, offset };
+  }
+
+  // Saturated fields point to the zip64 end record through its locator just before
+  if (end < 20 || tail.getUint32(end - 20, true) !== ZIP64_END_LOCATOR) {
+    throw new Error('zip64 end record locator is missing');
+  }
+  const recordOffset = readUint64(tail, end - 12);
+  const record = await readBytes(zip, recordOffset, recordOffset + 56);
+  if (record.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+    throw new Error('zip64 end record is corrupt');
+  }
+  return { entries: readUint64(record, 32), size: readUint64(record, 40), offset: readUint64(record, 48) };
+}
+
+/**
+ * List the members of a zip archive from its central directory, reading only
+ * the end of the file; member data is never touched
+ */
+export async function listZipMembers(zip: File): Promise<ZipMember[]> {
+  const directory = await findCentralDirectory(zip);
+  const view = await readBytes(zip, directory.offset, directory.offset + directory.size);
+  const decoder = new TextDecoder('utf-8');
+  const members: ZipMember[] = [];
+
+  let pos = 0;
+  for (let i = 0; i < directory.entries; i++) {
+    if (pos + 46 > view.byteLength || view.getUint32(pos, true) !== CENTRAL_FILE_HEADER) {
+      throw new Error('central directory is corrupt');
+    }
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const member: ZipMember = {
+      path: decoder.decode(new Uint8Array(view.buffer, pos + 46, nameLength)),
+      method: view.getUint16(pos + 10, true),
+      encrypted: (view.getUint16(pos + 8, true) & 1) !== 0,
+      compressedSize: view.getUint32(pos + 20, true),
+      size: view.getUint32(pos + 24, true),
+      localHeaderOffset: view.getUint32(pos + 42, true)
+    };
+
+    // The zip64 extra field holds, in order, only the values saturated above
+    for (let extra = pos + 46 + nameLength; extra + 4 <= pos + 46 + nameLength + extraLength;) {
+      const id = view.getUint16(extra, true);
+      const length = view.getUint16(extra + 2, true);
+      if (id === ZIP64_EXTRA_FIELD) {
+        let field = extra + 4;
+        for (const key of ['size', 'compressedSize', 'localHeaderOffset'] as const) {
+          if (member[key] !== 0xffffffff) continue;
+          member[key] = readUint64(view, field);
+          field += 8;
+        }
+      }
+      extra += 4 + length;
+    }
+
+    members.push(member);
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return members;
+}
+
+/**
+ * The compressed bytes of a member as a lazy slice of the archive, named after
+ * the member's file name. Only the member's local header is read here; its
+ * length varies, so it settles where the data starts.
+ */
+export async function zipMemberFile(zip: File, member: ZipMember): Promise<File> {
+  const header = await readBytes(zip, member.localHeaderOffset, member.localHeaderOffset + 30);
+  if (header.getUint32(0, true) !== LOCAL_FILE_HEADER) {
+    throw new Error(`local header of ${member.path} is corrupt`);
+  }
+  const start = member.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const name = member.path.slice(member.path.lastIndexOf('/') + 1);
+  return new File([zip.slice(start, start + member.compressedSize)], name, { type: 'application/json' });
+}
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+// Convert a JSON or NDJSON file into a SQLite database on disk with the same
+// engine the web app runs in its worker (public/workers/engine.mjs). Every
+// event the page would receive is written to stdout as one JSON line,
+// e.g. {"type":"progress","data":{...}}; engine diagnostics go to stderr
+// with --verbose.
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable, pipeline } from 'stream';
+import { parseArgs } from 'util';
+import initSqlJs from 'sql.js';
+import { JSONParser } from '@streamparser/json';
+import * as engine from '../public/workers/engine.mjs';
+import { mergeSchema } from '../public/workers/schema.mjs';
+
+const USAGE = `Usage: json-to-sqlite [options] [input] -o <output.sqlite>
+
+Reads input (a .json, .ndjson or .jsonl file, optionally .gz or .deflate),
+or stdin when input is missing or "-".
+
+Options:
+  -o, --output <file>       SQLite file to write (required)
+  -t, --table <name>        Table name (default: data)
+      --sample-size <n>     Records sampled before the table is created (default: 100)
+      --schema-scan <mode>  head, reservoir or full: sample the first records, sample
+                            the whole file, or scan all of it; the last two read the
+                            input twice, so it cannot be stdin (default: head)
+      --batch-size <n>      Rows per insert transaction (default: 1000)
+      --schema <file>       Schema file exported from the schema editor; repeat for more tables
+      --record-path <path>  JSONPath of the records, e.g. $.data.*
+      --format <format>     auto, json or ndjson (default: auto)
+      --relational          Store nested arrays of objects in child tables
+      --split-top-level     One table per top-level key
+      --separator <text>    Joins nested key names into column names (default: _)
+      --max-depth <n>       Store objects deeper than this as JSON (default: 0, no limit)
+      --include <paths>     Comma-separated key paths to keep
+      --exclude <paths>     Comma-separated key paths to drop
+      --json-paths <paths>  Comma-separated key paths stored as JSON
+      --preserve-keys       Keep key names as they are instead of sanitizing them
+      --column-budget <n>   Store the largest subtrees as JSON past this many columns
+      --json-views          Create a view over the nested fields of JSON columns
+      --no-infer-strings    Keep numeric and boolean strings as text
+      --dates <storage>     iso, epoch or julian (default: iso)
+      --errors <policy>     skip, quarantine or abort (default: skip)
+      --optimize            Build the suggested indexes, then ANALYZE and VACUUM
+      --append              Add to the output database instead of replacing it
+      --conflict <strategy> insert, replace or upsert when appending (default: insert)
+      --key <columns>       Comma-separated conflict key columns for upsert
+  -v, --verbose             Write engine diagnostics to stderr
+  -h, --help                Show this help`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  table: { type: 'string', short: 't', default: 'data' },
+  'sample-size': { type: 'string', default: '100' },
+  'schema-scan': { type: 'string', default: 'head' },
+  'batch-size': { type: 'string', default: '1000' },
+  schema: { type: 'string', multiple: true, default: [] },
+  'record-path': { type: 'string', default: '' },
+  format: { type: 'string', default: 'auto' },
+  relational: { type: 'boolean', default: false },
+  'split-top-level': { type: 'boolean', default: false },
+  separator: { type: 'string', default: '_' },
+  'max-depth': { type: 'string', default: '0' },
+  include: { type: 'string', default: '' },
+  exclude: { type: 'string', default: '' },
+  'json-paths': { type: 'string', default: '' },
+  'preserve-keys': { type: 'boolean', default: false },
+  'column-budget': { type: 'string', default: '0' },
+  'json-views': { type: 'boolean', default: false },
+  'no-infer-strings': { type: 'boolean', default: false },
+  dates: { type: 'string', default: 'iso' },
+  errors: { type: 'string', default: 'skip' },
+  optimize: { type: 'boolean', default: false },
+  append: { type: 'boolean', default: false },
+  conflict: { type: 'string', default: 'insert' },
+  key: { type: 'string', default: '' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Values accepted by the choice options, as offered in the options form
+const CHOICES = {
+  format: ['auto', 'json', 'ndjson'],
+  'schema-scan': ['head', 'reservoir', 'full'],
+  dates: ['iso', 'epoch', 'julian'],
+  errors: ['skip', 'quarantine', 'abort'],
+  conflict: ['insert', 'replace', 'upsert']
+};
+
+const NDJSON_FILE_PATTERN = /\.(ndjson|jsonl)(\.(gz|deflate))?$/i;
+
+const splitList = list => list.split(',').map(item => item.trim()).filter(Boolean);
+
+function fail(message) {
+  process.stderr.write(`json-to-sqlite: ${message}\n`);
+  process.exit(2);
+}
+
+function toNumber(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) fail(`--${name} must be a whole number`);
+  return number;
+}
+
+/**
+ * Read the schema files into a map from table name to columns
+ */
+function readSchemas(files) {
+  const schemas = new Map();
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      fail(`cannot read schema file ${file}: ${error.message}`);
+    }
+    if (!parsed || typeof parsed.table !== 'string' || !Array.isArray(parsed.columns)) {
+      fail(`invalid schema file ${file}: expected { "table", "columns" }`);
+    }
+    schemas.set(parsed.table, parsed.columns);
+  }
+  return schemas;
+}
+
+/**
+ * The post-load choices the optimize step preselects in the page
+ */
+function suggestedPlan(tables) {
+  return {
+    tables: tables.map(table => ({
+      name: table.name,
+      primaryKey: null,
+      indexes: table.columns.filter(col => col.suggestIndex && !col.indexed).map(col => col.name),
+      fullText: table.columns.filter(col => col.suggestFullText && /CHAR|CLOB|TEXT/i.test(col.type)).map(col => col.name)
+    })),
+    analyze: true,
+    vacuum: true
+  };
+}
+
+/**
+ * The input as a web stream of bytes, decompressed by extension. The size is
+ * only known for an uncompressed file, so only that one reports progress.
+ */
+function openInput(input) {
+  if (!input || input === '-') {
+    return { name: 'stdin', size: 0, stream: Readable.toWeb(process.stdin) };
+  }
+  const name = path.basename(input);
+  const file = fs.createReadStream(input);
+  const inflate = /\.gz$/i.test(input) ? zlib.createGunzip() : /\.deflate$/i.test(input) ? zlib.createInflate() : null;
+  if (!inflate) return { name, size: fs.statSync(input).size, stream: Readable.toWeb(file) };
+  // pipeline() passes a read error on to the decompressed stream, which reports it
+  pipeline(file, inflate, () => {});
+  return { name, size: 0, stream: Readable.toWeb(inflate) };
+}
+
+let args;
+try {
+  args = parseArgs({ options: OPTIONS, allowPositionals: true });
+} catch (error) {
+  fail(`${error.message}\n\n${USAGE}`);
+}
+const { values: options, positionals } = args;
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (!options.output) fail(`--output is required\n\n${USAGE}`);
+if (positionals.length > 1) fail('only one input file can be converted at a time');
+for (const [name, allowed] of Object.entries(CHOICES)) {
+  if (!allowed.includes(options[name])) fail(`--${name} must be one of ${allowed.join(', ')}`);
+}
+
+const input = positionals[0];
+if (input && input !== '-' && !fs.existsSync(input)) fail(`input not found: ${input}`);
+// The load pass reads the input again after the scan
+const twoPass = options['schema-scan'] !== 'head';
+if (twoPass && (!input || input === '-')) fail(`--schema-scan ${options['schema-scan']} needs an input file, stdin can only be read once`);
+const output = path.resolve(options.output);
+const schemas = readSchemas(options.schema);
+
+// Events are the output; the engine's console diagnostics must not mix into stdout
+const writeStderr = console.error.bind(console);
+const writeDiagnostic = (...parts) => {
+  if (options.verbose) writeStderr(...parts);
+};
+console.log = writeDiagnostic;
+console.info = writeDiagnostic;
+console.debug = writeDiagnostic;
+console.warn = writeDiagnostic;
+console.error = writeDiagnostic;
+
+let failed = false;
+let scanned = false;
+const writeEvent = message => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+engine.connectEngine({
+  JSONParser,
+  loadSqlJs: () => initSqlJs(),
+  emit(message) {
+    writeEvent(message);
+    if (message.type === 'error') {
+      failed = true;
+    } else if (message.type === 'scanned') {
+      scanned = true;
+    } else if (message.type === 'schemaProposal') {
+      // Reviews are answered without a person: a schema file for the table overrides the proposal
+      const imported = schemas.get(message.data.table);
+      const columns = imported ? mergeSchema(message.data.columns, imported) : message.data.columns;
+      queueMicrotask(() => engine.applyReviewedSchema(columns));
+    } else if (message.type === 'optimizeProposal') {
+      queueMicrotask(() => engine.applyOptimizationPlan(suggestedPlan(message.data.tables)));
+    }
+  },
+  fileComplete(data) {
+    fs.writeFileSync(output, data);
+    writeEvent({ type: 'log', data: { message: `Wrote ${output}` } });
+  }
+});
+
+engine.configureConversion({
+  tableName: options.table,
+  sampleSize: toNumber('sample-size', options['sample-size']) || 100,
+  schemaScan: options['schema-scan'],
+  batchSize: toNumber('batch-size', options['batch-size']) || 1000,
+  recordPath: options['record-path'],
+  inputFormat: options.format,
+  relational: options.relational,
+  splitTopLevel: options['split-top-level'],
+  // Schema files are applied through the review the engine pauses for
+  reviewSchema: schemas.size > 0,
+  inferStrings: !options['no-infer-strings'],
+  dateStorage: options.dates,
+  conflictStrategy: options.append ? options.conflict : 'insert',
+  conflictKey: splitList(options.key),
+  errorPolicy: options.errors,
+  optimize: options.optimize,
+  keySeparator: options.separator,
+  maxDepth: toNumber('max-depth', options['max-depth']),
+  includePaths: splitList(options.include),
+  excludePaths: splitList(options.exclude),
+  preserveKeys: options['preserve-keys'],
+  jsonPaths: splitList(options['json-paths']),
+  columnBudget: toNumber('column-budget', options['column-budget']),
+  jsonViews: options['json-views']
+});
+
+const existing = options.append && fs.existsSync(output) ? fs.readFileSync(output) : undefined;
+await engine.initDatabase(existing);
+if (failed) process.exit(1);
+
+/**
+ * Open the input and stream it through one pass of the engine
+ */
+async function readPass(scan) {
+  const source = openInput(input);
+  // The extension settles the format up front; otherwise the engine sniffs the first lines
+  const inputFormat = options.format === 'auto' && NDJSON_FILE_PATTERN.test(source.name) ? 'ndjson' : options.format;
+  engine.startFile({ name: source.name, size: source.size, tableName: options.table, inputFormat, scan, last: true });
+  if (failed) process.exit(1);
+  await engine.readStream(source.stream);
+}
+
+// Ctrl+C stops reading and writes the rows read so far, like Cancel in the page.
+// stdin may never deliver another chunk, so the exit does not wait for the read.
+process.once('SIGINT', () => {
+  engine.cancelConversion().then(() => process.exit(130));
+});
+
+if (twoPass) {
+  await readPass(true);
+  // A cancelled or failed scan has already finished the run
+  if (!scanned) process.exit(failed ? 1 : 0);
+}
+await readPass(false);
+process.exit(failed ? 1 : 0);
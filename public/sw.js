@@ -1,67 +1,105 @@
 // Service Worker for JSON to SQLite Converter
 // This enables offline functionality by caching all necessary resources
 
-const CACHE_NAME = 'json-to-sqlite-v1';
 const BASE_PATH = '/json-to-sqlite';
+const WORKER_SCRIPT = `${BASE_PATH}/workers/db-worker.js`;
 
-// Core static assets to cache immediately on install
-// These are the minimal files needed for the app to work
-const CORE_ASSETS = [
-  `${BASE_PATH}/`,
-  `${BASE_PATH}/manifest.json`,
-  `${BASE_PATH}/icon-192.svg`,
-  `${BASE_PATH}/icon-512.svg`,
-  `${BASE_PATH}/workers/db-worker.js`,
-];
+// Cache of the build's own files, keyed by URL plus content hash. It is shared
+// between builds, so a waiting service worker never evicts the active one's files.
+const PRECACHE_NAME = 'json-to-sqlite-precache';
+// How long a page gets to say whether it is converting before an update goes ahead
+const CLIENT_REPLY_TIMEOUT = 1000;
 
-// External CDN resources used by the worker
-// Note: These URLs must match the imports in public/workers/db-worker.js
-const CDN_RESOURCES = [
-  'https://esm.sh/sql.js@1.10.3',
-  'https://esm.sh/@streamparser/json@0.0.22',
-  'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3/sql-wasm.wasm',
-];
+// Set to the build's hash-named precache manifest by scripts/precache.mjs.
+// `next dev` serves this file unchanged, so nothing is precached there.
+const PRECACHE_MANIFEST_URL = null;
+if (PRECACHE_MANIFEST_URL) {
+  importScripts(PRECACHE_MANIFEST_URL);
+}
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || { version: 'dev', entries: [] };
 
-// Install event: cache core assets
+// Runtime cache for anything not precached, one per build and dropped when the next one activates
+const CACHE_NAME = `json-to-sqlite-${PRECACHE_MANIFEST.version}`;
+
+// Precached URLs mapped to their content hashes
+const PRECACHED = new Map(PRECACHE_MANIFEST.entries.map(({ url, revision }) => [url, revision]));
+
+// A file whose content changes gets a new key
+const precacheKey = (url) => `${url}?__revision=${PRECACHED.get(url)}`;
+
+const sha256 = async (response) => {
+  const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Answer from the cache at once and fetch a fresh copy in the background.
+ * A precached copy belongs to this build and is kept, so the page and the
+ * worker it starts always match; a network copy with another hash means a new
+ * deployment, and checking for an update brings it to the page as a reload prompt.
+ * Without a precache the fresh copy replaces the cached one.
+ */
+async function staleWhileRevalidate(event, url) {
+  const precached = PRECACHED.has(url.pathname);
+  const cache = await caches.open(precached ? PRECACHE_NAME : CACHE_NAME);
+  const cacheKey = precached ? precacheKey(url.pathname) : event.request;
+  const cachedResponse = await cache.match(cacheKey);
+
+  const revalidate = fetch(event.request, { cache: 'no-cache' }).then(async (response) => {
+    if (!response.ok) return response;
+    if (!precached) {
+      await cache.put(cacheKey, response.clone());
+    } else if (!(await sha256(response.clone())).startsWith(PRECACHED.get(url.pathname))) {
+      console.log('[Service Worker] Newer copy of', url.pathname, 'found, checking for an update');
+      await self.registration.update();
+    }
+    return response;
+  });
+
+  if (!cachedResponse) return revalidate;
+  event.waitUntil(revalidate.catch((error) => console.warn('[Service Worker] Revalidation failed:', url.pathname, error)));
+  return cachedResponse;
+}
+
+/**
+ * Whether any open page of the app is in the middle of a conversion. Each page
+ * is asked over a message channel; one that does not answer in time is not converting.
+ */
+async function anyClientConverting() {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const answers = await Promise.all(windows.map((client) => new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (event) => resolve(event.data && event.data.converting === true);
+    setTimeout(() => resolve(false), CLIENT_REPLY_TIMEOUT);
+    client.postMessage({ type: 'IS_CONVERTING' }, [channel.port2]);
+  })));
+  return answers.includes(true);
+}
+
+// Install event: precache every file of the build
+// Installation fails if any file is missing, so an installed worker can run the app offline
 self.addEventListener('install', (event) => {
-  console.log('[Service Worker] Installing...');
+  console.log('[Service Worker] Installing build', PRECACHE_MANIFEST.version);
   
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      console.log('[Service Worker] Caching core assets...');
-      
-      // Cache core assets - these are essential
-      const corePromise = cache.addAll(CORE_ASSETS).catch((err) => {
-        console.error('[Service Worker] Failed to cache core assets:', err);
-        // Log which asset failed
-        return Promise.all(
-          CORE_ASSETS.map(url => 
-            cache.add(url).catch(e => console.error('[Service Worker] Failed to cache:', url, e))
-          )
-        );
-      });
+    caches.open(PRECACHE_NAME).then((cache) => {
+      console.log(`[Service Worker] Precaching ${PRECACHED.size} files...`);
       
-      // Cache CDN resources individually to handle failures gracefully
-      const cdnPromises = CDN_RESOURCES.map((url) => 
-        fetch(url, { mode: 'cors' })
-          .then((response) => {
-            if (response.ok) {
-              return cache.put(url, response);
-            }
-            console.warn('[Service Worker] Failed to fetch CDN resource:', url);
-            return Promise.resolve();
-          })
-          .catch((err) => {
-            console.warn('[Service Worker] Error caching CDN resource:', url, err);
-            return Promise.resolve();
-          })
+      return Promise.all(
+        Array.from(PRECACHED.keys(), async (url) => {
+          // Files unchanged since an earlier build are already cached under the same key
+          const cacheKey = precacheKey(url);
+          if (await cache.match(cacheKey)) return;
+          const response = await fetch(url, { cache: 'reload' });
+          if (!response.ok) {
+            throw new Error(`Failed to precache ${url}: ${response.status}`);
+          }
+          await cache.put(cacheKey, response);
+        })
       );
-      
-      return Promise.all([corePromise, ...cdnPromises]);
     }).then(() => {
+      // An update waits until a page asks for it with SKIP_WAITING; a first install activates at once
       console.log('[Service Worker] Installation complete');
-      // Skip waiting to activate immediately
-      return self.skipWaiting();
     })
   );
 });
@@ -74,21 +112,27 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== PRECACHE_NAME) {
             console.log('[Service Worker] Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
         })
       );
+    }).then(() => caches.open(PRECACHE_NAME)).then(async (cache) => {
+      // Drop files of earlier builds that this build no longer lists
+      const current = new Set(Array.from(PRECACHED.keys(), (url) => new URL(precacheKey(url), location.origin).href));
+      const requests = await cache.keys();
+      await Promise.all(requests.filter((request) => !current.has(request.url)).map((request) => cache.delete(request)));
     }).then(() => {
       console.log('[Service Worker] Activation complete');
-      // Take control of all pages immediately
+      // Take control of all pages; after an update the page that asked for it reloads
       return self.clients.claim();
     })
   );
 });
 
-// Fetch event: Network-first strategy for HTML, Cache-first for static assets
+// Fetch event: precached files from the cache, stale-while-revalidate for the database worker,
+// network-first for HTML that is not precached, cache-first for other static assets
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
@@ -107,10 +151,18 @@ self.addEventListener('fetch', (event) => {
   const isHTML = request.destination === 'document' || 
                  (request.headers.get('accept')?.includes('text/html') && 
                   request.mode === 'navigate');
-  const isCDN = url.hostname === 'esm.sh' || url.hostname === 'cdnjs.cloudflare.com';
   const isAppResource = url.origin === location.origin;
+  const isPrecached = isAppResource && PRECACHED.has(url.pathname);
   
-  if (isHTML) {
+  if (isAppResource && url.pathname === WORKER_SCRIPT) {
+    event.respondWith(staleWhileRevalidate(event, url));
+  } else if (isPrecached) {
+    // Pages included: serving this build's page keeps it in step with the
+    // worker script and chunks precached alongside it
+    event.respondWith(
+      caches.match(precacheKey(url.pathname)).then((cachedResponse) => cachedResponse || fetch(request))
+    );
+  } else if (isHTML) {
     // Network-first for HTML to get updates
     event.respondWith(
       fetch(request)
@@ -125,12 +177,14 @@ self.addEventListener('fetch', (event) => {
           return response;
         })
         .catch(() => {
-          // Fallback to cache if offline
-          return caches.match(request);
+          // Fallback to cache if offline, then to the precached start page
+          return caches.match(request).then((cachedResponse) =>
+            cachedResponse || (PRECACHED.has(`${BASE_PATH}/`) ? caches.match(precacheKey(`${BASE_PATH}/`)) : undefined)
+          );
         })
     );
   } else {
-    // Cache-first for all other resources (JS, CSS, images, CDN, etc.)
+    // Cache-first for all other resources (JS, CSS, images, etc.)
     event.respondWith(
       caches.match(request).then((cachedResponse) => {
         if (cachedResponse) {
@@ -146,10 +200,8 @@ self.addEventListener('fetch', (event) => {
             return response;
           }
           
-          // Cache same-origin resources and CDN resources
-          const shouldCache = isAppResource || isCDN;
-          
-          if (shouldCache) {
+          // Cache same-origin resources only
+          if (isAppResource) {
             // Clone the response before caching
             const responseToCache = response.clone();
             
@@ -172,7 +224,17 @@ self.addEventListener('fetch', (event) => {
 // Handle messages from the client
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
-    self.skipWaiting();
+    // Swapping workers under a running conversion would serve it files of another build
+    event.waitUntil(
+      anyClientConverting().then((converting) => {
+        if (converting) {
+          console.log('[Service Worker] Update deferred, a conversion is running');
+          event.source.postMessage({ type: 'UPDATE_DEFERRED' });
+          return;
+        }
+        return self.skipWaiting();
+      })
+    );
   }
   
   if (event.data && event.data.type === 'CACHE_URLS') {
@@ -1,99 +1,68 @@
-// Database worker: Uses streaming JSON parser for robust parsing
-// This runs in a separate thread to prevent UI blocking
-
-// Import SQL.js from esm.sh (ES module CDN)
-import initSqlJs from 'https://esm.sh/sql.js@1.10.3';
-
-// Import streaming JSON parser from esm.sh
-import { JSONParser } from 'https://esm.sh/@streamparser/json@0.0.22';
-
-let db = null;
-let tableName = 'data';
-let sampleSize = 100;
-let batchSize = 1000;
-let schema = null;
-let objectCount = 0;
-let rowsProcessed = 0;
-let currentBatch = [];
-let existingColumnsSet = new Set();
-let pendingColumns = [];
-let parser = null;
+// Database worker: runs the conversion engine in engine.mjs off the main thread,
+// and serves queries, exports and saved copies of the database it builds
 
-/**
- * Initialize the Stream Parser
- * 
- * Note: This uses ES module imports from esm.sh CDN because:
- * 1. Module workers support native ES module imports
- * 2. esm.sh automatically handles module conversion and compatibility
- * 3. This is the modern, recommended approach for web workers
- * 
- * For production deployments with strict security requirements, consider:
- * - Hosting the library locally
- * - Using Subresource Integrity (SRI) hashes
- * - Implementing Content Security Policy (CSP) headers
- */
-async function initParser() {
-    try {
-        parser = new JSONParser({ paths: ['$'], keepStack: false });
-        
-        parser.onValue = (event) => {
-            const realData = event.value;
-            if (Array.isArray(realData)) {
-                for (const item of realData) processObject(item);
-            } else {
-                processObject(realData);
-            }
-        };
-        
-        parser.onError = (err) => {
-            console.error('[DB Worker] JSON Parse Error:', err);
-            postMessage({ type: 'error', data: { message: `JSON Parse Error: ${err.message}` } });
-        };
-        
-    } catch (error) {
-        // THIS IS THE CRITICAL FIX: Throw the error so initDatabase stops!
-        console.error('[DB Worker] Parser Init Failed:', error);
-        throw error; 
-    }
-}
+// SQL.js and the streaming JSON parser are copied from node_modules into
+// public/vendor by scripts/vendor.mjs, so they load from the app's own origin
+import initSqlJs from '../vendor/sql-wasm.js';
+import { JSONParser } from '../vendor/streamparser-json/index.js';
+import {
+    ERRORS_TABLE,
+    PREVIEW_ROWS,
+    applyOptimizationPlan,
+    applyReviewedSchema,
+    cancelConversion,
+    configureConversion,
+    connectEngine,
+    countRows,
+    dataTables,
+    db,
+    initDatabase,
+    pauseConversion,
+    quoteIdentifier,
+    readStream,
+    receiveChunk,
+    receiveEnd,
+    resumeConversion,
+    startFile,
+    summarizeStoredTable,
+    tableExists
+} from './engine.mjs';
+import { createTextWriter, writeDelimited, writeJsonDocument, writeJsonRows, writeSqlDump } from './export.mjs';
+
+// { id, name, createdAt } of the saved copy updated after each file, or null
+let saveTarget = null;
+// CRC-32 lookup table for zip exports, built on first use
+let crcTable = null;
+
+// Query console results are capped at this many rows
+const MAX_QUERY_ROWS = 10000;
+// Exports are posted to the page in pieces of about this many bytes
+const EXPORT_CHUNK_SIZE = 1024 * 1024;
+// Saved databases: an OPFS directory, or IndexedDB where OPFS is unavailable
+const SAVED_DIRECTORY = 'databases';
+const SAVED_IDB_NAME = 'json-to-sqlite';
 
 /**
- * Initialize SQL.js and database
+ * Load the SQL.js WASM module
  */
-async function initDatabase() {
-    try {
-        console.log('[DB Worker] Initializing SQL.js database...');
-        postMessage({ type: 'log', data: { message: 'Loading SQL.js WASM...' } });
-        
-        // Note: esm.sh is used for the ES module imports (above), but cdnjs is used
-        // for the WASM file location. This is intentional - esm.sh handles the JS
-        // module conversion, while cdnjs provides reliable WASM file hosting.
-        const SQL = await initSqlJs({
-            locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3/${file}`
-        });
-        
-        console.log('[DB Worker] SQL.js WASM loaded successfully');
-        
-        db = new SQL.Database();
-        
-        console.log('[DB Worker] Initializing JSON parser...');
-        await initParser();
-        
-        console.log('[DB Worker] Database and parser created successfully');
-        postMessage({ type: 'log', data: { message: 'Database & Parser initialized' } });
-        
-        // Send READY signal to main thread
-        postMessage({ type: 'READY' });
-        
-    } catch (error) {
-        console.error('[DB Worker] Failed to initialize database:', error);
-        postMessage({ 
-            type: 'error', 
-            data: { message: `Failed to initialize database: ${error.message}` }
-        });
-    }
+async function loadSqlJs() {
+    // The WASM file is vendored next to the module, resolved against this worker's URL
+    const SQL = await initSqlJs({
+        locateFile: file => new URL(`../vendor/${file}`, import.meta.url).href
+    });
+    
+    console.log('[DB Worker] SQL.js WASM loaded successfully');
+    return SQL;
 }
 
+connectEngine({
+    JSONParser,
+    loadSqlJs,
+    emit: message => postMessage(message),
+    // The saved copy is brought up to date after every file
+    fileComplete: data => saveTarget ? saveDatabase(data) : undefined
+});
+
 /**
  * Process incoming messages from main thread
  */
@@ -104,419 +73,615 @@ self.onmessage = async function(event) {
 
     switch (type) {
         case 'init':
-            tableName = data.tableName || 'data';
-            sampleSize = data.sampleSize || 100;
-            batchSize = data.batchSize || 1000;
-            console.log('[DB Worker] Configuration:', { tableName, sampleSize, batchSize });
-            await initDatabase();
-            break;
-
-        case 'chunk':
-            // Write the chunk to the parser
-            if (parser) {
+            configureConversion(data);
+            saveTarget = data.save || null;
+            console.log('[DB Worker] Save target:', saveTarget);
+            if (data.savedId) {
+                // Reopen a saved database, read here rather than sent from the page
                 try {
-                    parser.write(data);
-                } catch (e) {
-                    console.error('[DB Worker] Parser Write Error:', e);
-                    postMessage({ 
-                        type: 'error', 
-                        data: { message: `Parser error: ${e.message}` }
-                    });
+                    await initDatabase(await readSavedDatabase(data.savedId));
+                } catch (error) {
+                    console.error('[DB Worker] Failed to read saved database:', error);
+                    postMessage({ type: 'error', data: { message: `Failed to open saved database: ${error.message}` } });
                 }
-            } else {
-                console.warn('[DB Worker] Received chunk before initialization');
+                break;
             }
+            await initDatabase(data.existingDb);
+            break;
+
+        case 'summarize':
+            postMessage({ type: 'summary', data: { tables: dataTables().map(summarizeStoredTable) } });
+            break;
+
+        case 'listSaved':
+            await listSavedDatabases();
+            break;
+
+        case 'readSaved':
+            await sendSavedDatabase(data.id);
+            break;
+
+        case 'deleteSaved':
+            await deleteSavedDatabase(data.id);
+            break;
+
+        case 'inspect':
+            await inspectDatabase(data);
+            break;
+
+        case 'file':
+            startFile(data);
+            break;
+
+        case 'chunk':
+            receiveChunk(event.data);
+            break;
+
+        case 'stream':
+            await readStream(data);
             break;
 
         case 'end':
-            if (parser) {
-                console.log('[DB Worker] End of stream received, finalizing...');
-                try {
-                    // Try to close cleanly, but ignore if already closed
-                    if (parser.close) parser.close(); 
-                } catch(e) { 
-                    console.debug('[DB Worker] Parser already closed:', e);
-                }
-                
-                await finalizeProcessing();
-            }
+            await receiveEnd(event.data);
+            break;
+
+        case 'pause':
+            pauseConversion();
+            break;
+
+        case 'resume':
+            await resumeConversion();
+            break;
+
+        case 'cancel':
+            await cancelConversion();
+            break;
+
+        case 'applySchema':
+            applyReviewedSchema(data.columns);
+            break;
+
+        case 'applyOptimization':
+            applyOptimizationPlan(data);
+            break;
+
+        case 'query':
+            runQuery(data.id, data.sql);
+            break;
+
+        case 'rows':
+            fetchRows(data);
             break;
 
         case 'export':
             console.log('[DB Worker] Export requested');
             exportDatabase();
             break;
+
+        case 'exportAs':
+            exportAs(data);
+            break;
+
+        case 'errorReport':
+            exportErrorReport();
+            break;
     }
 };
 
 /**
- * Process a single JSON object (Flattens and batches it)
+ * Open a database file just to describe its tables for the options form
  */
-function processObject(obj) {
-    objectCount++;
-    const flatObj = flattenObject(obj);
-    
-    // 1. Build schema if needed
-    if (!schema && objectCount < sampleSize) {
-        buildSchema(flatObj);
-    }
-    
-    // 2. Create table if needed
-    if (!schema && objectCount >= sampleSize) {
-        createTable();
-    }
-    
-    // 3. FIX: ALWAYS push to batch, do not check "if (schema)" yet
-    currentBatch.push(flatObj);
-
-    // 4. If schema is ready, process the batch
-    if (schema) {
-        checkAndAddNewColumns(flatObj);
+async function inspectDatabase({ id, data: fileData }) {
+    try {
+        const SQL = await loadSqlJs();
+        const inspected = new SQL.Database(new Uint8Array(fileData));
+        const result = inspected.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+        const names = result.length > 0 ? result[0].values.map(row => row[0]) : [];
         
-        if (currentBatch.length >= batchSize) {
-            applyPendingColumns();
-            insertBatch();
-        }
+        const tableInfo = names.map(name => ({
+            name,
+            rows: inspected.exec(`SELECT COUNT(*) FROM ${quoteIdentifier(name)}`)[0].values[0][0],
+            columns: inspected.exec(`PRAGMA table_info(${quoteIdentifier(name)})`)[0].values.map(row => row[1])
+        }));
+        inspected.close();
+        
+        postMessage({ type: 'inspected', data: { id, tables: tableInfo } });
+        
+    } catch (error) {
+        console.error('[DB Worker] Failed to inspect database:', error);
+        postMessage({ type: 'inspected', data: { id, tables: [], error: error.message } });
     }
 }
 
 /**
- * Flatten nested object into single-level object
- * converts { configs: { id: 1 } } -> { configs_id: 1 }
- * converts { tags: ["a", "b"] } -> { tags: '["a", "b"]' }
+ * Keep a copy of the database in the browser under the run's save target,
+ * replacing the copy from the previous file of the run. OPFS is written
+ * through sync access handles, which only workers have; the metadata file
+ * is written last, so a listed database always has its data.
  */
-function flattenObject(obj, prefix = '') {
-    const flattened = {};
+async function saveDatabase(data) {
+    const tables = dataTables().map(name => ({ name, rows: countRows(name) }));
+    const meta = {
+        ...saveTarget,
+        size: data.byteLength,
+        rows: tables.reduce((sum, table) => sum + table.rows, 0),
+        tables,
+        updatedAt: new Date().toISOString()
+    };
     
-    for (const key in obj) {
-        if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
-        
-        const value = obj[key];
-        const newKey = prefix ? `${prefix}_${key}` : key;
-        
-        if (value === null || value === undefined) {
-            flattened[newKey] = null;
-        } else if (Array.isArray(value)) {
-            // Arrays become JSON strings (SQLite doesn't support Arrays)
-            flattened[newKey] = JSON.stringify(value);
-        } else if (typeof value === 'object') {
-            // Recurse deeper
-            Object.assign(flattened, flattenObject(value, newKey));
-        } else {
-            flattened[newKey] = value;
+    try {
+        const directory = await savedDirectory();
+        let stored = false;
+        if (directory) {
+            try {
+                await writeOpfsFile(directory, `${meta.id}.sqlite`, data);
+                await writeOpfsFile(directory, `${meta.id}.json`, new TextEncoder().encode(JSON.stringify(meta)));
+                stored = true;
+            } catch (error) {
+                // Some browsers have OPFS without sync access handles
+                if (error.name === 'QuotaExceededError') throw error;
+                console.warn('[DB Worker] OPFS write failed, using IndexedDB:', error);
+            }
         }
+        if (!stored) {
+            await idbRequest('readwrite', stores => {
+                stores.files.put(data, meta.id);
+                stores.databases.put(meta);
+            });
+        }
+        console.log(`[DB Worker] Saved database "${meta.name}" (${data.byteLength} bytes)`);
+        postMessage({ type: 'saved', data: meta });
+    } catch (error) {
+        console.error('[DB Worker] Failed to save database:', error);
+        const reason = error.name === 'QuotaExceededError' ? 'not enough storage space' : error.message;
+        postMessage({ type: 'log', data: { message: `Could not keep a copy in this browser: ${reason}`, level: 'warning' } });
     }
-    
-    return flattened;
 }
 
 /**
- * Build schema from sample objects
+ * The OPFS directory for saved databases, or null where OPFS is unavailable
  */
-const schemaBuilder = {
-    columns: {},
-    
-    add(obj) {
-        for (const key in obj) {
-            if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
-            
-            const value = obj[key];
-            const type = detectType(value);
-            
-            if (!this.columns[key]) {
-                this.columns[key] = { name: key, type: type };
-            } else {
-                // If types differ, use TEXT as fallback
-                if (this.columns[key].type !== type && value !== null) {
-                    this.columns[key].type = 'TEXT';
-                }
-            }
-        }
-    },
-    
-    getSchema() {
-        return Object.values(this.columns);
+async function savedDirectory() {
+    if (!navigator.storage || !navigator.storage.getDirectory) return null;
+    try {
+        const root = await navigator.storage.getDirectory();
+        return await root.getDirectoryHandle(SAVED_DIRECTORY, { create: true });
+    } catch (error) {
+        console.warn('[DB Worker] OPFS unavailable, using IndexedDB:', error);
+        return null;
     }
-};
+}
 
-function buildSchema(obj) {
-    schemaBuilder.add(obj);
+async function writeOpfsFile(directory, name, bytes) {
+    const handle = await directory.getFileHandle(name, { create: true });
+    const access = await handle.createSyncAccessHandle();
+    try {
+        access.truncate(0);
+        access.write(bytes, { at: 0 });
+        access.flush();
+    } finally {
+        access.close();
+    }
 }
 
 /**
- * Detect SQLite type from JavaScript value
+ * Run work against the IndexedDB stores of saved databases in one transaction:
+ * `databases` holds the metadata, `files` the database bytes by id.
+ * Resolves with the result of the last request the work returns, if any.
  */
-function detectType(value) {
-    if (value === null) return 'TEXT';
-    
-    const type = typeof value;
-    
-    if (type === 'number') {
-        return Number.isInteger(value) ? 'INTEGER' : 'REAL';
-    } else if (type === 'boolean') {
-        return 'INTEGER'; // SQLite uses 0/1 for booleans
-    } else {
-        return 'TEXT';
+function idbRequest(mode, work) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(SAVED_IDB_NAME, 1);
+        open.onupgradeneeded = () => {
+            open.result.createObjectStore('databases', { keyPath: 'id' });
+            open.result.createObjectStore('files');
+        };
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const idb = open.result;
+            const transaction = idb.transaction(['databases', 'files'], mode);
+            const request = work({ databases: transaction.objectStore('databases'), files: transaction.objectStore('files') });
+            transaction.oncomplete = () => {
+                idb.close();
+                resolve(request ? request.result : undefined);
+            };
+            transaction.onerror = transaction.onabort = () => {
+                idb.close();
+                reject(transaction.error);
+            };
+        };
+    });
+}
+
+/**
+ * Reply with the metadata of every saved database, newest first
+ */
+async function listSavedDatabases() {
+    try {
+        const databases = [];
+        const directory = await savedDirectory();
+        if (directory) {
+            for await (const [name, handle] of directory.entries()) {
+                if (handle.kind !== 'file' || !name.endsWith('.json')) continue;
+                const file = await handle.getFile();
+                databases.push(JSON.parse(await file.text()));
+            }
+        }
+        if (typeof indexedDB !== 'undefined') {
+            databases.push(...await idbRequest('readonly', stores => stores.databases.getAll()));
+        }
+        databases.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        postMessage({ type: 'savedList', data: { databases } });
+    } catch (error) {
+        console.error('[DB Worker] Failed to list saved databases:', error);
+        postMessage({ type: 'savedList', data: { databases: [], error: error.message } });
     }
 }
 
 /**
- * Create table with detected schema
+ * Bytes of a saved database, from OPFS or else IndexedDB
  */
-function createTable() {
-    schema = schemaBuilder.getSchema();
-    
-    console.log('[DB Worker] Creating table with schema:', schema);
-    
-    if (schema.length === 0) {
-        console.error('[DB Worker] No schema detected from sample data');
-        postMessage({ 
-            type: 'error', 
-            data: { message: 'No schema could be detected from sample data' }
-        });
-        return;
+async function readSavedDatabase(id) {
+    const directory = await savedDirectory();
+    if (directory) {
+        try {
+            const handle = await directory.getFileHandle(`${id}.sqlite`);
+            return await (await handle.getFile()).arrayBuffer();
+        } catch (error) {
+            if (error.name !== 'NotFoundError') throw error;
+        }
     }
-    
-    // Build CREATE TABLE statement
-    const columns = schema.map(col => {
-        return `"${sanitize(col.name)}" ${col.type}`;
-    }).join(', ');
-    
-    const createTableSQL = `CREATE TABLE "${tableName}" (${columns})`;
-    
-    console.log('[DB Worker] CREATE TABLE SQL:', createTableSQL);
-    
+    const data = typeof indexedDB !== 'undefined' ? await idbRequest('readonly', stores => stores.files.get(id)) : undefined;
+    if (!data) throw new Error('saved database not found');
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+async function sendSavedDatabase(id) {
     try {
-        db.run(createTableSQL);
-        
-        // Initialize the existing columns set
-        existingColumnsSet = new Set(schema.map(col => col.name));
-        
-        console.log('[DB Worker] Table created successfully with columns:', schema.map(c => c.name));
-        
-        postMessage({ 
-            type: 'schema', 
-            data: { 
-                columns: schema.map(c => c.name),
-                sql: createTableSQL
+        const data = await readSavedDatabase(id);
+        postMessage({ type: 'savedData', data: { id, data } }, [data]);
+    } catch (error) {
+        console.error('[DB Worker] Failed to read saved database:', error);
+        postMessage({ type: 'savedData', data: { id, error: error.message } });
+    }
+}
+
+async function deleteSavedDatabase(id) {
+    try {
+        const directory = await savedDirectory();
+        if (directory) {
+            for (const name of [`${id}.json`, `${id}.sqlite`]) {
+                await directory.removeEntry(name).catch(error => {
+                    if (error.name !== 'NotFoundError') throw error;
+                });
             }
-        });
+        }
+        if (typeof indexedDB !== 'undefined') {
+            await idbRequest('readwrite', stores => {
+                stores.databases.delete(id);
+                stores.files.delete(id);
+            });
+        }
+        postMessage({ type: 'savedDeleted', data: { id } });
+    } catch (error) {
+        console.error('[DB Worker] Failed to delete saved database:', error);
+        postMessage({ type: 'savedDeleted', data: { id, error: error.message } });
+    }
+}
+
+/**
+ * Export database as binary data
+ */
+function exportDatabase() {
+    console.log('[DB Worker] Exporting database...');
+    try {
+        const data = db.export();
+        console.log(`[DB Worker] Database exported successfully: ${data.byteLength} bytes`);
+        postMessage({
+            type: 'exported',
+            data: data
+        }, [data.buffer]); // Transfer ownership of buffer
         
-        postMessage({ 
-            type: 'log', 
-            data: { message: `Table "${tableName}" created with ${schema.length} columns` }
+        postMessage({
+            type: 'log',
+            data: { message: 'Database exported successfully' }
         });
         
     } catch (error) {
-        console.error('[DB Worker] Failed to create table:', error);
-        postMessage({ 
-            type: 'error', 
-            data: { message: `Failed to create table: ${error.message}` }
+        console.error('[DB Worker] Failed to export database:', error);
+        postMessage({
+            type: 'error',
+            data: { message: `Failed to export database: ${error.message}` }
         });
     }
 }
 
 /**
- * Sanitize column/table names for SQL
+ * Send every quarantined record as JSON Lines, one object per _errors row
  */
-function sanitize(name) {
-    return name.replace(/[^a-zA-Z0-9_]/g, '_');
+function exportErrorReport() {
+    try {
+        const lines = [];
+        if (tableExists(ERRORS_TABLE)) {
+            const stmt = db.prepare(`SELECT "file", "table", "record", "line", "error", "value" FROM ${quoteIdentifier(ERRORS_TABLE)} ORDER BY rowid`);
+            while (stmt.step()) lines.push(JSON.stringify(stmt.getAsObject()) + '\n');
+            stmt.free();
+        }
+        console.log(`[DB Worker] Error report built: ${lines.length} records`);
+        postMessage({ type: 'errorReport', data: { report: lines.join('') } });
+    } catch (error) {
+        console.error('[DB Worker] Failed to build error report:', error);
+        postMessage({ type: 'errorReport', data: { report: '', error: error.message } });
+    }
 }
 
 /**
- * Check if object has new columns not in schema, and add them to pending list
+ * Stream the database out in another format: a SQL dump, a zip of one CSV,
+ * TSV or NDJSON file per table, or one JSON document keyed by table. The
+ * output reaches the page as exportChunk messages of about EXPORT_CHUNK_SIZE
+ * bytes, transferred rather than copied, followed by exportDone; rows are read
+ * one at a time, so no table is held in memory as a whole.
  */
-function checkAndAddNewColumns(obj) {
-    if (!schema || !db) return;
+function exportAs({ id, format, dialect = 'sqlite' }) {
+    console.log(`[DB Worker] Exporting as ${format}${format === 'sql' ? ` (${dialect})` : ''}`);
+    const started = performance.now();
+    const sink = createChunkSink(id);
     
-    for (const key in obj) {
-        if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
-        
-        if (!existingColumnsSet.has(key)) {
-            const value = obj[key];
-            const type = detectType(value);
-            pendingColumns.push({ name: key, type: type });
-            // Add to set immediately to avoid duplicates in pending list
-            existingColumnsSet.add(key);
+    try {
+        if (format === 'sql') {
+            if (!['sqlite', 'postgresql', 'mysql'].includes(dialect)) throw new Error(`unknown SQL dialect "${dialect}"`);
+            const text = createTextWriter(sink);
+            writeSqlDump(text, dialect);
+            text.flush();
+        } else if (format === 'csv' || format === 'tsv' || format === 'ndjson') {
+            const zip = createZipWriter(sink);
+            for (const name of dataTables()) {
+                const entry = zip.openEntry(`${name}.${format}`);
+                const text = createTextWriter(entry);
+                if (format === 'ndjson') writeJsonRows(text, name, '', '\n');
+                else writeDelimited(text, name, format === 'csv' ? ',' : '\t');
+                text.flush();
+                entry.close();
+            }
+            zip.close();
+        } else if (format === 'json') {
+            const text = createTextWriter(sink);
+            writeJsonDocument(text);
+            text.flush();
+        } else {
+            throw new Error(`unknown export format "${format}"`);
         }
+        sink.close();
+        
+        const elapsed = performance.now() - started;
+        console.log(`[DB Worker] Export finished: ${sink.bytes} bytes in ${elapsed.toFixed(1)} ms`);
+        postMessage({ type: 'exportDone', data: { id, bytes: sink.bytes } });
+    } catch (error) {
+        console.error('[DB Worker] Export failed:', error);
+        postMessage({ type: 'exportError', data: { id, message: error.message } });
     }
 }
 
 /**
- * Apply pending column additions to the database
+ * Collect output bytes and post them in pieces of about EXPORT_CHUNK_SIZE
  */
-function applyPendingColumns() {
-    if (pendingColumns.length === 0) return;
+function createChunkSink(id) {
+    let parts = [];
+    let buffered = 0;
     
-    console.log(`[DB Worker] Adding ${pendingColumns.length} new columns:`, pendingColumns);
+    const post = () => {
+        if (buffered === 0) return;
+        const chunk = new Uint8Array(buffered);
+        let offset = 0;
+        for (const part of parts) {
+            chunk.set(part, offset);
+            offset += part.length;
+        }
+        parts = [];
+        buffered = 0;
+        postMessage({ type: 'exportChunk', data: { id, chunk } }, [chunk.buffer]);
+    };
     
-    try {
-        // Use transaction for atomicity
-        db.run('BEGIN');
-        
-        for (const col of pendingColumns) {
-            const alterSQL = `ALTER TABLE "${tableName}" ADD COLUMN "${sanitize(col.name)}" ${col.type}`;
-            console.log('[DB Worker] ALTER TABLE SQL:', alterSQL);
-            db.run(alterSQL);
-            schema.push(col);
-            
-            postMessage({ 
-                type: 'log', 
-                data: { 
-                    message: `Added new column: ${col.name} (${col.type})`,
-                    level: 'info'
+    return {
+        bytes: 0,
+        write(bytes) {
+            parts.push(bytes);
+            buffered += bytes.length;
+            this.bytes += bytes.length;
+            if (buffered >= EXPORT_CHUNK_SIZE) post();
+        },
+        close: post
+    };
+}
+
+/**
+ * Minimal zip writer: entries are stored uncompressed and streamed, with the
+ * CRC and sizes in a data descriptor after each entry's data. Archives are
+ * limited to 4 GB, since ZIP64 is not written.
+ */
+function createZipWriter(sink) {
+    const entries = [];
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    // Bit 3: sizes follow the data; bit 11: names are UTF-8
+    const flags = 0x0808;
+    let offset = 0;
+    
+    const emit = bytes => {
+        sink.write(bytes);
+        offset += bytes.length;
+        if (offset > 0xFFFFFFFF) throw new Error('zip archive exceeds 4 GB');
+    };
+    const record = (size, fill) => {
+        const bytes = new Uint8Array(size);
+        fill(new DataView(bytes.buffer));
+        return bytes;
+    };
+    
+    return {
+        openEntry(fileName) {
+            const entry = { name: encoder.encode(fileName), offset, crc: 0, size: 0 };
+            entries.push(entry);
+            emit(record(30, view => {
+                view.setUint32(0, 0x04034b50, true);
+                view.setUint16(4, 20, true);
+                view.setUint16(6, flags, true);
+                view.setUint16(10, time, true);
+                view.setUint16(12, date, true);
+                view.setUint16(26, entry.name.length, true);
+            }));
+            emit(entry.name);
+            return {
+                write(bytes) {
+                    entry.crc = crc32(entry.crc, bytes);
+                    entry.size += bytes.length;
+                    emit(bytes);
+                },
+                close() {
+                    emit(record(16, view => {
+                        view.setUint32(0, 0x08074b50, true);
+                        view.setUint32(4, entry.crc, true);
+                        view.setUint32(8, entry.size, true);
+                        view.setUint32(12, entry.size, true);
+                    }));
                 }
-            });
+            };
+        },
+        close() {
+            const start = offset;
+            for (const entry of entries) {
+                emit(record(46, view => {
+                    view.setUint32(0, 0x02014b50, true);
+                    view.setUint16(4, 20, true);
+                    view.setUint16(6, 20, true);
+                    view.setUint16(8, flags, true);
+                    view.setUint16(12, time, true);
+                    view.setUint16(14, date, true);
+                    view.setUint32(16, entry.crc, true);
+                    view.setUint32(20, entry.size, true);
+                    view.setUint32(24, entry.size, true);
+                    view.setUint16(28, entry.name.length, true);
+                    view.setUint32(42, entry.offset, true);
+                }));
+                emit(entry.name);
+            }
+            const size = offset - start;
+            emit(record(22, view => {
+                view.setUint32(0, 0x06054b50, true);
+                view.setUint16(8, entries.length, true);
+                view.setUint16(10, entries.length, true);
+                view.setUint32(12, size, true);
+                view.setUint32(16, start, true);
+            }));
+        }
+    };
+}
+
+/**
+ * Continue a CRC-32 (as used by zip) over more bytes
+ */
+function crc32(crc, bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c;
         }
-        
-        db.run('COMMIT');
-        console.log('[DB Worker] New columns added successfully');
-        pendingColumns = [];
-    } catch (error) {
-        console.error('[DB Worker] Failed to add new columns:', error);
-        db.run('ROLLBACK');
-        postMessage({ 
-            type: 'error', 
-            data: { message: `Failed to add new columns: ${error.message}` }
-        });
     }
+    let c = ~crc;
+    for (let i = 0; i < bytes.length; i++) c = crcTable[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return ~c >>> 0;
 }
 
 /**
- * Insert a batch of rows
+ * Run SQL from the query console against the in-memory database.
+ * Every statement is executed; the rows of the last one that returns
+ * columns are sent back, capped at MAX_QUERY_ROWS.
  */
-function insertBatch() {
-    if (currentBatch.length === 0) return;
-    
-    console.log(`[DB Worker] Inserting batch of ${currentBatch.length} rows`);
-    
-    // Log first row of each batch for debugging
-    if (currentBatch.length > 0 && (rowsProcessed === 0 || rowsProcessed % (batchSize * 10) === 0)) {
-        console.log('[DB Worker] Sample row from batch:', currentBatch[0]);
-        console.log('[DB Worker] Sample row keys:', Object.keys(currentBatch[0]));
+function runQuery(id, sql) {
+    if (!db) {
+        postMessage({ type: 'queryError', data: { id, message: 'Database is not initialized' } });
+        return;
     }
     
+    console.log('[DB Worker] Running query:', sql);
+    const start = performance.now();
+    
     try {
-        db.run('BEGIN');
-        
-        const columnNames = schema.map(col => `"${sanitize(col.name)}"`).join(', ');
-        const placeholders = schema.map(() => '?').join(', ');
-        const insertSQL = `INSERT INTO "${tableName}" (${columnNames}) VALUES (${placeholders})`;
+        let columns = [];
+        let rows = [];
+        let truncated = false;
+        let statements = 0;
         
-        const stmt = db.prepare(insertSQL);
-        
-        for (const obj of currentBatch) {
-            const values = schema.map(col => {
-                const value = obj[col.name];
-                
-                if (value === undefined || value === null) {
-                    return null;
-                } else if (typeof value === 'boolean') {
-                    return value ? 1 : 0;
-                } else {
-                    return value;
+        for (const stmt of db.iterateStatements(sql)) {
+            statements++;
+            const names = stmt.getColumnNames();
+            const stmtRows = [];
+            let stmtTruncated = false;
+            
+            while (stmt.step()) {
+                if (stmtRows.length === MAX_QUERY_ROWS) {
+                    stmtTruncated = true;
+                    break;
                 }
-            });
+                stmtRows.push(stmt.get());
+            }
             
-            stmt.run(values);
+            if (names.length > 0) {
+                columns = names;
+                rows = stmtRows;
+                truncated = stmtTruncated;
+            }
         }
         
-        stmt.free();
-        db.run('COMMIT');
-        
-        rowsProcessed += currentBatch.length;
-        console.log(`[DB Worker] Batch inserted successfully. Total rows: ${rowsProcessed}`);
-        currentBatch = [];
+        const time = performance.now() - start;
+        console.log(`[DB Worker] Query finished in ${time.toFixed(1)}ms: ${rows.length} rows`);
         
-        // Report progress
         postMessage({
-            type: 'progress',
+            type: 'queryResult',
             data: {
-                rowsProcessed: rowsProcessed,
-                progress: 0.5 // We don't know total, so report generic progress
+                id,
+                columns,
+                rows,
+                truncated,
+                statements,
+                rowsModified: db.getRowsModified(),
+                time
             }
         });
         
-        postMessage({
-            type: 'status',
-            data: { message: `Processing... ${rowsProcessed.toLocaleString()} rows` }
-        });
-        
     } catch (error) {
-        console.error('[DB Worker] Failed to insert batch:', error);
-        db.run('ROLLBACK');
-        postMessage({ 
-            type: 'error', 
-            data: { message: `Failed to insert batch: ${error.message}` }
+        console.error('[DB Worker] Query failed:', error);
+        postMessage({
+            type: 'queryError',
+            data: { id, message: error.message, time: performance.now() - start }
         });
     }
 }
 
 /**
- * Finalize processing and insert remaining rows
+ * Read a window of rows (or a random sample) for the preview grid
  */
-async function finalizeProcessing() {
-    console.log('[DB Worker] Finalizing processing...');
-    console.log(`[DB Worker] Total objects parsed: ${objectCount}`);
-    console.log(`[DB Worker] Remaining batch size: ${currentBatch.length}`);
-    
-    // Create table if not created yet (for small files)
-    if (!schema && objectCount > 0) {
-        createTable();
-    }
-    
-    // Apply any remaining pending columns
-    applyPendingColumns();
-    
-    // Insert any remaining rows
-    if (currentBatch.length > 0) {
-        insertBatch();
-    }
-    
-    // Get database size
-    const dbData = db.export();
-    const dbSize = dbData.byteLength;
-    
-    console.log('[DB Worker] Processing complete!');
-    console.log(`[DB Worker] Final statistics - Total rows: ${rowsProcessed}, DB size: ${dbSize} bytes`);
-    
-    postMessage({
-        type: 'complete',
-        data: {
-            totalRows: rowsProcessed,
-            dbSize: dbSize
-        }
-    });
-    
-    postMessage({
-        type: 'log',
-        data: { message: `Successfully processed ${rowsProcessed.toLocaleString()} rows` }
-    });
-}
-
-/**
- * Export database as binary data
- */
-function exportDatabase() {
-    console.log('[DB Worker] Exporting database...');
+function fetchRows({ id, table, offset = 0, limit = PREVIEW_ROWS, random = false }) {
     try {
-        const data = db.export();
-        console.log(`[DB Worker] Database exported successfully: ${data.byteLength} bytes`);
-        postMessage({
-            type: 'exported',
-            data: data
-        }, [data.buffer]); // Transfer ownership of buffer
+        const sql = random
+            ? `SELECT * FROM ${quoteIdentifier(table)} ORDER BY RANDOM() LIMIT ?`
+            : `SELECT * FROM ${quoteIdentifier(table)} LIMIT ? OFFSET ?`;
+        const stmt = db.prepare(sql);
+        stmt.bind(random ? [limit] : [limit, offset]);
         
-        postMessage({
-            type: 'log',
-            data: { message: 'Database exported successfully' }
-        });
+        const rows = [];
+        while (stmt.step()) rows.push(stmt.get());
+        const columns = stmt.getColumnNames();
+        stmt.free();
+        
+        postMessage({ type: 'rowsResult', data: { id, table, offset, columns, rows } });
         
     } catch (error) {
-        console.error('[DB Worker] Failed to export database:', error);
-        postMessage({
-            type: 'error',
-            data: { message: `Failed to export database: ${error.message}` }
-        });
+        console.error('[DB Worker] Failed to fetch rows:', error);
+        postMessage({ type: 'rowsResult', data: { id, table, offset, columns: [], rows: [], error: error.message } });
     }
 }
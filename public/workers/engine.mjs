@@ -0,0 +1,2483 @@
+// The conversion engine: streams JSON or NDJSON text into a SQL.js database,
+// inferring the schema from a sample and inserting in batches. It runs in
+// db-worker.js for the page and in bin/json-to-sqlite.mjs on the command line,
+// so it holds no worker, DOM or Node references; the host passes in the
+// parser class and the SQL.js loader and receives every event through emit().
+
+// Set by connectEngine(): { JSONParser, loadSqlJs, emit, fileComplete }
+let host = null;
+
+export let db = null;
+let tableName = 'data';
+let sampleSize = 100;
+let batchSize = 1000;
+let relational = false;
+let reviewSchema = false;
+let inferStrings = true;
+let dateStorage = 'iso';
+let conflictStrategy = 'insert';
+let conflictKey = [];
+let splitTopLevel = false;
+let errorPolicy = 'skip';
+let optimizeAfterLoad = false;
+let keySeparator = '_';
+let maxDepth = 0;
+let pathRules = null;
+let preserveKeys = false;
+let jsonRules = null;
+let columnBudget = 0;
+let jsonViews = false;
+// How the schema is sampled: the first records, a reservoir over the whole file, or all of it
+let schemaScan = 'head';
+let lastFile = true;
+let optimizationReview = null;
+// Suggested index and full-text columns per table, kept across the files of a run
+let indexSuggestions = new Map();
+let fileName = '';
+let splitKeys = new Set();
+let metaRows = 0;
+let previewTableName = null;
+let fileSize = 0;
+let bytesProcessed = 0;
+let lastProgressAt = 0;
+let runStats = createRunStats();
+let paused = false;
+let cancelled = false;
+let heldMessages = [];
+let resumeGate = null;
+let schemaReview = null;
+let objectCount = 0;
+let rowsProcessed = 0;
+let tables = new Map();
+// Set during the first pass of a two-pass file, which only reads the schema
+let scanning = false;
+// Tables prepared by a finished scan, waiting for the load pass of the same file
+let scannedTables = null;
+// The finalization of the current file, once it has started
+let finalization = null;
+let parser = null;
+let recordPath = '';
+let inputFormat = 'auto';
+let sniffBuffer = '';
+let lineBuffer = '';
+let lineNumber = 0;
+let malformedLines = 0;
+let currentSource = null;
+let skippedRecords = 0;
+let quarantinedRecords = 0;
+let parserFailed = false;
+let failed = false;
+// Rows of the main table streamed to the live preview as they are inserted
+export const PREVIEW_ROWS = 100;
+// How much text to inspect for the first two lines before deciding on the format
+const SNIFF_LIMIT = 1024 * 1024;
+// Individual rejected-record warnings are logged up to this many, then only counted
+const MAX_RECORD_WARNINGS = 100;
+// Distinct values are counted exactly up to this many per column
+const DISTINCT_LIMIT = 1000;
+// Key/value table for top-level values that are not arrays of records
+const META_TABLE = '_meta';
+// Records rejected under the quarantine error policy
+export const ERRORS_TABLE = '_errors';
+// Joins the keys of a path in lookup keys; unlike the column separator it does not occur in real keys
+const PATH_KEY_SEPARATOR = '\u0000';
+// Minimum time between progress messages, in milliseconds
+const PROGRESS_INTERVAL = 100;
+// A sampled column is suggested for an index when at least this share of its values is distinct
+const INDEX_DISTINCT_RATIO = 0.5;
+// ...out of at least this many sampled values
+const INDEX_MIN_VALUES = 10;
+// Text longer than this is suggested for full-text search rather than a plain index
+const INDEX_MAX_TEXT = 64;
+// A nested field of a JSON column gets a view column when it is set in at least this share of sampled rows
+const VIEW_FIELD_RATIO = 0.2;
+// ...up to this many view columns per table, most common first
+const VIEW_MAX_FIELDS = 100;
+
+// String patterns recognized by type inference. Integers with leading zeros or
+// more than 15 digits stay text so zip codes and large IDs are not mangled.
+const INTEGER_PATTERN = /^-?(0|[1-9]\d{0,14})$/;
+const REAL_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * Attach the engine to its host:
+ * - JSONParser: the @streamparser/json parser class
+ * - loadSqlJs(): resolves to the initialized SQL.js module
+ * - emit(message): receives every { type, data } event, as the worker posts them to the page
+ * - fileComplete(bytes): optional, called with the exported database after each file
+ */
+export function connectEngine(options) {
+    host = options;
+}
+
+/**
+ * Emit an event to the host
+ */
+function emit(message) {
+    host.emit(message);
+}
+
+/**
+ * Apply the conversion options of an `init` message
+ */
+export function configureConversion(data) {
+    tableName = data.tableName || 'data';
+    sampleSize = data.sampleSize || 100;
+    batchSize = data.batchSize || 1000;
+    recordPath = (data.recordPath || '').trim();
+    inputFormat = data.inputFormat || 'auto';
+    relational = Boolean(data.relational);
+    reviewSchema = Boolean(data.reviewSchema);
+    inferStrings = data.inferStrings !== false;
+    dateStorage = data.dateStorage || 'iso';
+    conflictStrategy = data.conflictStrategy || 'insert';
+    conflictKey = data.conflictKey || [];
+    splitTopLevel = Boolean(data.splitTopLevel);
+    errorPolicy = data.errorPolicy || 'skip';
+    optimizeAfterLoad = Boolean(data.optimize);
+    keySeparator = typeof data.keySeparator === 'string' ? data.keySeparator : '_';
+    maxDepth = Math.max(0, Number(data.maxDepth) || 0);
+    pathRules = parsePathRules(data.includePaths, data.excludePaths);
+    preserveKeys = Boolean(data.preserveKeys);
+    jsonRules = parseJsonRules(data.jsonPaths);
+    columnBudget = Math.max(0, Number(data.columnBudget) || 0);
+    jsonViews = Boolean(data.jsonViews);
+    schemaScan = ['full', 'reservoir'].includes(data.schemaScan) ? data.schemaScan : 'head';
+    indexSuggestions = new Map();
+    console.log('[DB Worker] Configuration:', { tableName, sampleSize, batchSize, recordPath, inputFormat, relational, reviewSchema, inferStrings, dateStorage, conflictStrategy, conflictKey, splitTopLevel, errorPolicy, optimizeAfterLoad, keySeparator, maxDepth, pathRules, preserveKeys, jsonRules, columnBudget, jsonViews, schemaScan });
+}
+
+/**
+ * Initialize the Stream Parser
+ * 
+ * The parser only materializes values matching `path`. With `keepStack: false`
+ * each emitted record is dropped from its parent afterwards, so a path ending in
+ * `.*` keeps memory bounded by the batch size rather than the file size.
+ */
+function initParser(path) {
+    try {
+        parser = new host.JSONParser({ paths: [path], keepStack: false });
+        
+        parser.onValue = (event) => {
+            const realData = event.value;
+            if (Array.isArray(realData)) {
+                for (const item of realData) processObject(item);
+            } else {
+                processObject(realData);
+            }
+        };
+        
+        parser.onError = handleParseError;
+        
+        console.log(`[DB Worker] Parser emitting records at ${path}`);
+        emit({ type: 'log', data: { message: `Record path: ${path}` } });
+        
+    } catch (error) {
+        // THIS IS THE CRITICAL FIX: Throw the error so initDatabase stops!
+        console.error('[DB Worker] Parser Init Failed:', error);
+        throw error; 
+    }
+}
+
+/**
+ * Parser for documents like { "users": [...], "orders": [...], "meta": {...} }.
+ * Elements of a top-level array become rows of a table named after its key and
+ * are removed from the array as soon as they are processed, so the document is
+ * still streamed. Every other top-level value is written to the _meta table.
+ */
+function initSplitParser() {
+    parser = new host.JSONParser({ paths: ['$.*', '$.*.*'], keepStack: false });
+    
+    parser.onValue = ({ value, key, parent, stack }) => {
+        if (stack.length === 2) {
+            // Properties of top-level objects arrive with their object below
+            if (!Array.isArray(parent) || !isPlainObject(value)) return;
+            // The array itself is matched too, so the parser keeps its elements
+            delete parent[key];
+            const name = sanitize(String(stack[1].key));
+            splitKeys.add(name);
+            processObject(value, name);
+            return;
+        }
+        
+        const name = sanitize(String(key));
+        if (Array.isArray(value) && splitKeys.has(name)) {
+            const skipped = value.filter(() => true).length;
+            if (skipped > 0 && !scanning) {
+                emit({
+                    type: 'log',
+                    data: { message: `Skipped ${skipped} non-object values in "${key}"`, level: 'warning' }
+                });
+            }
+            return;
+        }
+        writeMeta(String(key), value);
+    };
+    
+    parser.onError = handleParseError;
+    
+    console.log('[DB Worker] Parser splitting top-level keys into tables');
+    emit({ type: 'log', data: { message: 'Splitting top-level keys into tables' } });
+}
+
+/**
+ * A JSON document cannot be parsed past a syntax error. Unless the policy is
+ * to abort, the error is recorded against the record it interrupted, the rest
+ * of the file is ignored and the records before it are kept.
+ */
+function handleParseError(err) {
+    // The parser keeps reporting errors for the rest of the text and on end
+    if (parserFailed || failed) return;
+    console.error('[DB Worker] JSON Parse Error:', err);
+    if (errorPolicy === 'abort') {
+        abortConversion(`JSON Parse Error: ${err.message}`);
+        return;
+    }
+    
+    parserFailed = true;
+    // The load pass meets the same error and reports it
+    if (scanning) return;
+    rejectRecord({ record: objectCount + 1, line: null }, tableName, `JSON Parse Error: ${err.message}`, null);
+    emit({
+        type: 'log',
+        data: { message: `Stopped reading ${fileName} at a JSON syntax error, keeping the ${objectCount.toLocaleString()} records before it`, level: 'warning' }
+    });
+}
+
+/**
+ * Stop the current file for good: later chunks are ignored and no complete message is sent
+ */
+function abortConversion(message) {
+    if (failed) return;
+    failed = true;
+    emit({ type: 'error', data: { message } });
+}
+
+/**
+ * Apply the error policy to a record that could not be parsed or inserted.
+ * Quarantined records are kept in the _errors table with their position in
+ * the file; the value is the record as JSON, or the raw text of a malformed line.
+ */
+function rejectRecord(source, table, message, value) {
+    // The load pass rejects the same records again
+    if (scanning) return;
+    if (errorPolicy === 'quarantine') {
+        if (quarantinedRecords === 0) {
+            db.run(`CREATE TABLE IF NOT EXISTS "${ERRORS_TABLE}" ("file" TEXT, "table" TEXT, "record" INTEGER, "line" INTEGER, "error" TEXT, "value" TEXT)`);
+        }
+        const stored = value === null || typeof value === 'string' ? value : JSON.stringify(value);
+        db.run(
+            `INSERT INTO "${ERRORS_TABLE}" ("file", "table", "record", "line", "error", "value") VALUES (?, ?, ?, ?, ?, ?)`,
+            [fileName, table, source.record, source.line, message, stored]
+        );
+        quarantinedRecords++;
+    } else {
+        skippedRecords++;
+    }
+    
+    const rejected = skippedRecords + quarantinedRecords;
+    const position = source.line !== null ? `line ${source.line}` : `record ${source.record}`;
+    if (rejected <= MAX_RECORD_WARNINGS) {
+        emit({
+            type: 'log',
+            data: { message: `${errorPolicy === 'quarantine' ? 'Quarantined' : 'Skipped'} ${position}: ${message}`, level: 'warning' }
+        });
+    } else if (rejected === MAX_RECORD_WARNINGS + 1) {
+        emit({
+            type: 'log',
+            data: { message: 'Too many rejected records, further warnings suppressed', level: 'warning' }
+        });
+    }
+}
+
+/**
+ * Store one top-level value in the _meta key/value table, keyed by file and key.
+ * Objects and arrays are kept as JSON text.
+ */
+function writeMeta(key, value) {
+    if (scanning) return;
+    if (metaRows === 0) {
+        db.run(`CREATE TABLE IF NOT EXISTS "${META_TABLE}" ("file" TEXT, "key" TEXT, "value", "type" TEXT, PRIMARY KEY ("file", "key"))`);
+    }
+    
+    const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    const stored = type === 'object' || type === 'array'
+        ? JSON.stringify(value)
+        : type === 'boolean' ? (value ? 1 : 0) : value;
+    
+    db.run(`INSERT OR REPLACE INTO "${META_TABLE}" ("file", "key", "value", "type") VALUES (?, ?, ?, ?)`, [fileName, key, stored, type]);
+    metaRows++;
+}
+
+/**
+ * Resolve the JSONPath whose matches become rows.
+ * An explicit record path is used as-is. Otherwise the first character of the
+ * document decides: a top-level array streams element by element ($.*), and
+ * anything else is treated as a single record ($).
+ */
+function resolveRecordPath(firstChar) {
+    if (recordPath) return recordPath;
+    return firstChar === '[' ? '$.*' : '$';
+}
+
+/**
+ * Detect whether the text is regular JSON or NDJSON from its first lines.
+ * NDJSON is assumed when the first two non-empty lines each parse as a JSON
+ * value on their own: a pretty-printed document opens with a bare "{" that
+ * does not parse alone, and a minified one has no second line. A record path
+ * or one table per top-level key only apply to a JSON document, so either
+ * settles the format without looking.
+ * Returns null while more text is needed to decide.
+ */
+function detectInputFormat(text, final) {
+    if (recordPath || splitTopLevel) return 'json';
+    const rest = text.trimStart();
+    if (!rest) return final ? 'json' : null;
+    if (rest.charAt(0) !== '{') return 'json';
+    
+    // Past the sniff limit the lines seen so far have to do
+    const complete = final || text.length >= SNIFF_LIMIT;
+    const newline = rest.indexOf('\n');
+    if (newline === -1) return complete ? 'json' : null;
+    if (!parsesAlone(rest.slice(0, newline))) return 'json';
+    
+    const next = rest.slice(newline + 1).trimStart();
+    if (!next) return complete ? 'json' : null;
+    const nextNewline = next.indexOf('\n');
+    if (nextNewline === -1 && !complete) return null;
+    return parsesAlone(nextNewline === -1 ? next : next.slice(0, nextNewline)) ? 'ndjson' : 'json';
+}
+
+function parsesAlone(line) {
+    try {
+        JSON.parse(line);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Route a decoded chunk to the JSON parser or the line splitter
+ */
+function writeChunk(text) {
+    if (inputFormat === 'auto') {
+        sniffBuffer += text;
+        const format = detectInputFormat(sniffBuffer, false);
+        if (!format) return;
+        setInputFormat(format);
+        text = sniffBuffer;
+        sniffBuffer = '';
+    }
+    
+    if (inputFormat === 'ndjson') {
+        writeLines(text);
+        return;
+    }
+    
+    // Nothing after a syntax error can be parsed
+    if (parserFailed) return;
+    
+    if (!parser) {
+        // Leading whitespace says nothing about the root, wait for content
+        const firstChar = text.trimStart().charAt(0);
+        if (!firstChar) return;
+        if (splitTopLevel && !recordPath && firstChar === '{') {
+            initSplitParser();
+        } else {
+            initParser(resolveRecordPath(firstChar));
+        }
+    }
+    parser.write(text);
+}
+
+/**
+ * Flush whatever input is still buffered once the stream has ended
+ */
+function endInput() {
+    if (inputFormat === 'auto') {
+        setInputFormat(detectInputFormat(sniffBuffer, true));
+        const text = sniffBuffer;
+        sniffBuffer = '';
+        if (text) writeChunk(text);
+    }
+    
+    if (inputFormat === 'ndjson') {
+        if (lineBuffer) processLine(lineBuffer);
+        lineBuffer = '';
+        return;
+    }
+    
+    try {
+        // Try to close cleanly, but ignore if already closed
+        if (parser && parser.end && !parser.isEnded) parser.end(); 
+    } catch(e) { 
+        console.debug('[DB Worker] Parser already closed:', e);
+    }
+}
+
+/**
+ * Write a chunk to the parser
+ */
+function handleChunk(text, bytes) {
+    if (!db) {
+        console.warn('[DB Worker] Received chunk before initialization');
+        return;
+    }
+    if (failed) return;
+    
+    try {
+        measureParse(() => writeChunk(text));
+        bytesProcessed += bytes || 0;
+        postProgress(false);
+    } catch (e) {
+        console.error('[DB Worker] Parser Write Error:', e);
+        abortConversion(`Parser error: ${e.message}`);
+    }
+}
+
+async function finishInput() {
+    if (!db || failed) return;
+    
+    console.log('[DB Worker] End of stream received, finalizing...');
+    measureParse(endInput);
+    
+    if (scanning) {
+        finishScan();
+        return;
+    }
+    await finalizeProcessing();
+}
+
+/**
+ * End the first pass of a two-pass file: keep the tables the scan prepared
+ * and ask the host to stream the same file again for the load pass
+ */
+function finishScan() {
+    // Files shorter than the sample still have their records held back
+    for (const table of Array.from(tables.values())) {
+        if (table.shapeSample) planColumnBudget(table);
+    }
+    if (failed) return;
+    
+    scannedTables = tables;
+    const columns = Array.from(tables.values()).reduce((sum, table) => sum + table.columnNames.size, 0);
+    console.log(`[DB Worker] Schema scan of "${fileName}" complete: ${objectCount} records`);
+    emit({
+        type: 'log',
+        data: { message: `Scanned ${objectCount.toLocaleString()} records of ${fileName}: ${tables.size} ${tables.size === 1 ? 'table' : 'tables'}, ${columns} columns` }
+    });
+    emit({ type: 'scanned', data: { records: objectCount, tables: tables.size } });
+}
+
+/**
+ * A `chunk` message from the page: parse it, or hold it while paused. Each
+ * acknowledgement returns one credit to the reader on the main thread.
+ */
+export function receiveChunk(message) {
+    if (cancelled || failed) {
+        emit({ type: 'chunkAck' });
+        return;
+    }
+    if (paused) {
+        // Chunks already in flight when the pause arrived wait for the resume
+        heldMessages.push(message);
+        return;
+    }
+    handleChunk(message.data, message.bytes);
+    emit({ type: 'chunkAck' });
+}
+
+/**
+ * An `end` message from the page, held like a chunk while paused
+ */
+export async function receiveEnd(message) {
+    if (cancelled) return;
+    if (paused) {
+        heldMessages.push(message);
+        return;
+    }
+    await finishInput();
+}
+
+/**
+ * Acknowledge a pause, resume or cancel once it has taken effect
+ */
+function postState(state) {
+    console.log(`[DB Worker] Conversion ${state}`);
+    emit({ type: 'state', data: { state } });
+}
+
+export function pauseConversion() {
+    if (paused || cancelled) return;
+    paused = true;
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    resumeGate = { promise, resolve };
+    postState('paused');
+}
+
+export async function resumeConversion() {
+    if (!paused || cancelled) return;
+    paused = false;
+    releaseResumeGate();
+    postState('running');
+    
+    const held = heldMessages;
+    heldMessages = [];
+    for (const message of held) {
+        if (message.type === 'chunk') {
+            handleChunk(message.data, message.bytes);
+            emit({ type: 'chunkAck' });
+        } else {
+            await finishInput();
+        }
+    }
+}
+
+function releaseResumeGate() {
+    if (resumeGate) resumeGate.resolve();
+    resumeGate = null;
+}
+
+/**
+ * Read a file stream transferred from the main thread. Reading and parsing
+ * share this thread, so the next chunk is only pulled once the previous one
+ * is inserted, and a pause or schema review simply stops pulling.
+ */
+export async function readStream(stream) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder('utf-8');
+    
+    try {
+        while (true) {
+            while ((resumeGate || schemaReview) && !cancelled) {
+                await (resumeGate || schemaReview).promise;
+            }
+            if (cancelled || failed) break;
+            
+            const { done, value } = await reader.read();
+            if (done || cancelled || failed) break;
+            handleChunk(decoder.decode(value, { stream: true }), value.byteLength);
+        }
+        
+        if (cancelled || failed) {
+            // cancelConversion() has already finalized what was read
+            await reader.cancel();
+            return;
+        }
+        
+        const rest = decoder.decode();
+        if (rest) handleChunk(rest, 0);
+        await finishInput();
+        
+    } catch (error) {
+        console.error('[DB Worker] Failed to read file stream:', error);
+        emit({ type: 'error', data: { message: `File read error: ${error.message}` } });
+    }
+}
+
+/**
+ * Stop parsing and keep what was read so far. Records the parser has already
+ * emitted are inserted; the partial record at the cut is dropped. A pending
+ * schema review is settled with the proposed schema so the rows it holds back
+ * are kept as well.
+ */
+export async function cancelConversion() {
+    if (cancelled) return;
+    cancelled = true;
+    paused = false;
+    heldMessages = [];
+    releaseResumeGate();
+    postState('cancelled');
+    
+    if (optimizationReview) {
+        // The load is done and finalizeProcessing() is waiting on the choices, so skip them
+        applyOptimizationPlan(null);
+        return;
+    }
+    if (schemaReview) {
+        applyReviewedSchema(proposeColumns(schemaReview.table));
+    }
+    // Nothing is stored before the load pass, so a cancelled scan keeps no tables
+    if (scanning) tables = new Map();
+    await finalizeProcessing();
+}
+
+/**
+ * Reset the per-file state so the next file streams into the same database.
+ * Tables already written stay in `db`; a table name used again is appended to.
+ * With `scan` set, and a schema scan configured, this pass only reads the
+ * schema; the next startFile() for the file loads it with that schema.
+ */
+export function startFile(data) {
+    const prepared = data.scan ? null : scannedTables;
+    scannedTables = null;
+    scanning = Boolean(data.scan) && schemaScan !== 'head';
+    finalization = null;
+    tableName = data.tableName || 'data';
+    inputFormat = data.inputFormat || 'auto';
+    fileName = data.name || '';
+    fileSize = data.size || 0;
+    lastFile = data.last !== false;
+    bytesProcessed = 0;
+    runStats = createRunStats();
+    paused = false;
+    cancelled = false;
+    heldMessages = [];
+    resumeGate = null;
+    tables = new Map();
+    splitKeys = new Set();
+    metaRows = 0;
+    previewTableName = null;
+    parser = null;
+    objectCount = 0;
+    rowsProcessed = 0;
+    sniffBuffer = '';
+    lineBuffer = '';
+    lineNumber = 0;
+    malformedLines = 0;
+    currentSource = null;
+    skippedRecords = 0;
+    quarantinedRecords = 0;
+    parserFailed = false;
+    failed = false;
+    if (prepared) resumeScannedTables(prepared);
+    
+    if (scanning) {
+        console.log(`[DB Worker] Scanning file "${data.name}" for its schema (${schemaScan})`);
+        emit({ type: 'log', data: { message: `Scanning ${data.name} for its schema (${schemaScan === 'full' ? 'every record' : 'reservoir sample'})` } });
+        emit({ type: 'status', data: { message: 'Scanning schema...' } });
+    } else {
+        console.log(`[DB Worker] Starting file "${data.name}" into table "${tableName}"`);
+        emit({ type: 'log', data: { message: `Importing ${data.name} into "${tableName}"` } });
+    }
+    
+    // Top-level keys only exist in a JSON document; NDJSON lines would all land in one table
+    if (splitTopLevel && inputFormat === 'ndjson') {
+        abortConversion(`${fileName} is NDJSON, which has no top-level keys to split into tables`);
+        return;
+    }
+    
+    if (recordPath && inputFormat !== 'ndjson') {
+        try {
+            initParser(recordPath);
+        } catch (error) {
+            emit({ type: 'error', data: { message: `Invalid record path: ${error.message}` } });
+        }
+    }
+}
+
+/**
+ * Carry the tables of a finished schema scan into the load pass. Column names
+ * and JSON paths stay as the scan settled them, and the schema is known
+ * before the first row: built from every record of a full scan, or from the
+ * reservoir sample.
+ */
+function resumeScannedTables(prepared) {
+    for (const table of prepared.values()) {
+        if (table.reservoir) {
+            table.builder = createSchemaBuilder();
+            for (const row of table.reservoir) table.builder.add(row);
+            table.reservoir = null;
+        } else {
+            table.builder.complete = true;
+        }
+        table.scanned = true;
+        table.rowCount = 0;
+        table.nextId = nextRowId(table.name);
+        tables.set(table.name, table);
+        if (!table.parent && previewTableName === null) previewTableName = table.name;
+    }
+}
+
+function setInputFormat(format) {
+    inputFormat = format;
+    console.log(`[DB Worker] Input format: ${format}`);
+    emit({ type: 'log', data: { message: `Input format: ${format === 'ndjson' ? 'NDJSON (one record per line)' : 'JSON'}` } });
+}
+
+/**
+ * Split NDJSON text into lines, keeping a trailing partial line for the next chunk
+ */
+function writeLines(text) {
+    const lines = (lineBuffer + text).split('\n');
+    lineBuffer = lines.pop();
+    for (const line of lines) processLine(line);
+}
+
+/**
+ * Parse a single NDJSON line. Malformed lines go through the error policy
+ * with their line number, so one bad record need not abort the conversion.
+ */
+function processLine(line) {
+    lineNumber++;
+    const text = line.trim();
+    if (!text) return;
+    
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (e) {
+        if (errorPolicy === 'abort') {
+            abortConversion(`Malformed line ${lineNumber}: ${e.message}`);
+            return;
+        }
+        malformedLines++;
+        rejectRecord({ record: null, line: lineNumber }, tableName, `Malformed JSON: ${e.message}`, text);
+        return;
+    }
+    
+    processObject(value);
+}
+
+/**
+ * Initialize SQL.js and database, opening an existing database file when one is given
+ */
+export async function initDatabase(existingData) {
+    try {
+        console.log('[DB Worker] Initializing SQL.js database...');
+        emit({ type: 'log', data: { message: 'Loading SQL.js WASM...' } });
+        
+        const SQL = await host.loadSqlJs();
+        
+        if (existingData) {
+            db = new SQL.Database(new Uint8Array(existingData));
+            const tableCount = listTables().length;
+            emit({ type: 'log', data: { message: `Opened existing database with ${tableCount} tables` } });
+        } else {
+            db = new SQL.Database();
+        }
+        
+        // An explicit record path is validated up front so a bad selector fails
+        // the init; in auto mode the parser is created once the first chunk arrives
+        if (recordPath && inputFormat !== 'ndjson') {
+            console.log('[DB Worker] Initializing JSON parser...');
+            initParser(recordPath);
+        }
+        
+        console.log('[DB Worker] Database created successfully');
+        emit({ type: 'log', data: { message: 'Database & Parser initialized' } });
+        
+        // Send READY signal to main thread
+        emit({ type: 'READY' });
+        
+    } catch (error) {
+        console.error('[DB Worker] Failed to initialize database:', error);
+        emit({ 
+            type: 'error', 
+            data: { message: `Failed to initialize database: ${error.message}` }
+        });
+    }
+}
+
+/**
+ * Process a single JSON object (Flattens and batches it)
+ */
+function processObject(obj, name = tableName) {
+    if (failed) return;
+    objectCount++;
+    // Every row the record produces, child rows included, is traced back to it
+    currentSource = { record: objectCount, line: inputFormat === 'ndjson' ? lineNumber : null };
+    const table = getTable(name, null);
+    if (table.shapeSample) {
+        // Records wait until the sample shows which subtrees fit the column budget
+        table.shapeSample.push({ obj, source: currentSource });
+        if (table.shapeSample.length >= sampleSize) planColumnBudget(table);
+        return;
+    }
+    processRow(table, obj, null);
+}
+
+/**
+ * Flatten one record into its table. In relational mode the row gets a
+ * generated _row_id, and every array of objects it holds is routed to a
+ * child table linked back through _parent_id and ordered by _index.
+ */
+function processRow(table, obj, link) {
+    const children = relational ? [] : null;
+    let flatObj = flattenObject(obj, table, children);
+    
+    if (relational) {
+        const keys = { _row_id: table.nextId++ };
+        if (link) {
+            keys._parent_id = link.parentId;
+            keys._index = link.index;
+        }
+        // Generated keys lead the column order; source fields of the same name were renamed
+        flatObj = Object.assign({ ...keys }, flatObj, keys);
+    }
+    
+    addRow(table, flatObj);
+    
+    if (!children) return;
+    for (const child of children) {
+        if (child.items.length === 0) continue;
+        const childTable = getTable(`${table.name}_${sanitize(child.name)}`, table, child.path);
+        child.items.forEach((item, index) => {
+            processRow(childTable, item, { parentId: flatObj._row_id, index });
+        });
+    }
+}
+
+/**
+ * Sample, create and batch a flattened row for the given table
+ */
+function addRow(table, flatObj) {
+    table.rowCount++;
+    
+    if (scanning) {
+        scanRow(table, flatObj);
+        return;
+    }
+    
+    // 1. Build schema if needed (a scanned table already has it)
+    if (!table.schema && !table.scanned && table.rowCount < sampleSize) {
+        buildSchema(table, flatObj);
+    }
+    
+    // 2. Create table if needed (or hand the sample to the user first)
+    if (!table.schema && !table.reviewing && (table.scanned || table.rowCount >= sampleSize)) {
+        if (needsReview(table)) {
+            requestSchemaReview(table);
+        } else {
+            createTable(table);
+        }
+    }
+    
+    // 3. FIX: ALWAYS push to batch, do not check "if (schema)" yet
+    table.batch.push(flatObj);
+    table.sources.push(currentSource);
+
+    // 4. If schema is ready, process the batch
+    if (table.schema) {
+        checkAndAddNewColumns(table, flatObj);
+        
+        if (table.batch.length >= batchSize) {
+            applyPendingColumns(table);
+            insertBatch(table);
+        }
+    }
+}
+
+/**
+ * Record a row of the schema scan. A full scan feeds every row to the schema;
+ * reservoir sampling (Algorithm R) keeps `sampleSize` rows, each row read so
+ * far having had the same chance to be kept.
+ */
+function scanRow(table, flatObj) {
+    if (!table.reservoir) {
+        table.builder.add(flatObj);
+    } else if (table.reservoir.length < sampleSize) {
+        table.reservoir.push(flatObj);
+    } else {
+        const slot = Math.floor(Math.random() * table.rowCount);
+        if (slot < sampleSize) table.reservoir[slot] = flatObj;
+    }
+}
+
+/**
+ * Get the state for a table, registering it on first use.
+ * Tables are kept in creation order, so parents always precede their children.
+ */
+function getTable(name, parent, path = []) {
+    let table = tables.get(name);
+    if (!table) {
+        table = {
+            name,
+            parent,
+            // Key path of the table's records in the document, matched by the path rules
+            path: path || [],
+            columnNames: new Map(),
+            // Generated relational keys are never given to a source field
+            usedColumnNames: new Set(relational ? ['_row_id', '_parent_id', '_index'] : []),
+            // Object paths stored as JSON text and paths flattened into columns, decided once per path
+            jsonPaths: new Set(),
+            flattenedPaths: new Set(),
+            // Sampled nested fields of the JSON columns, counted for the json_extract view
+            jsonFields: new Map(),
+            // Records of a top-level table held back until the column budget is planned
+            shapeSample: !parent && columnBudget > 0 ? [] : null,
+            budgetWarned: false,
+            builder: createSchemaBuilder(),
+            // Rows sampled across the whole file by a reservoir scan
+            reservoir: scanning && schemaScan === 'reservoir' ? [] : null,
+            // Whether a schema scan has built the schema before the load pass
+            scanned: false,
+            schema: null,
+            reviewing: false,
+            droppedColumns: new Set(),
+            existingColumnsSet: new Set(),
+            pendingColumns: [],
+            batch: [],
+            sources: [],
+            rowCount: 0,
+            rowsInserted: 0,
+            nextId: nextRowId(name),
+            previewed: 0
+        };
+        tables.set(name, table);
+        // The live preview follows the first top-level table
+        if (!parent && previewTableName === null) previewTableName = name;
+    }
+    return table;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is an array that relational mode turns into a child table.
+ * Empty arrays count too: they simply contribute no child rows.
+ */
+function isObjectArray(value) {
+    return value.every(isPlainObject);
+}
+
+/**
+ * Flatten nested object into single-level object
+ * converts { configs: { id: 1 } } -> { configs_id: 1 }
+ * converts { tags: ["a", "b"] } -> { tags: '["a", "b"]' }
+ * 
+ * Column names come from resolveColumn(), so key paths that would join to the
+ * same name each keep a column of their own. Objects chosen by storeAsJson()
+ * are kept as JSON, and paths are filtered by the include/exclude rules.
+ * 
+ * When a children list is passed, arrays of objects are collected into it
+ * as { name, path, items } instead of being stringified, unless their path
+ * is one of the JSON paths.
+ */
+function flattenObject(obj, table, children = null) {
+    const flattened = {};
+    flattenInto(flattened, obj, table, children, pathRules || jsonRules ? table.path : null, '', 0);
+    return flattened;
+}
+
+function flattenInto(flattened, obj, table, children, path, prefix, depth) {
+    for (const key in obj) {
+        if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
+        
+        const value = obj[key];
+        // Rules match absolute paths; column names are relative to the table's records
+        const keyPath = path ? [...path, key] : null;
+        const rule = keyPath && pathRules ? matchPathRules(keyPath) : 'include';
+        if (rule === 'exclude') continue;
+        const nameKey = prefix ? `${prefix}${PATH_KEY_SEPARATOR}${key}` : key;
+        
+        if (isPlainObject(value) && !storeAsJson(table, nameKey, keyPath, depth)) {
+            flattenInto(flattened, value, table, children, keyPath, nameKey, depth + 1);
+        } else if (children && Array.isArray(value) && isObjectArray(value) && !(keyPath && jsonRules && matchesJsonRule(keyPath))) {
+            children.push({ name: joinKeys(nameKey), path: keyPath, items: value });
+        } else if (rule === 'include') {
+            // Partially included paths only lead to deeper values, they are not stored whole
+            const column = resolveColumn(table, nameKey);
+            if (value === null || value === undefined) {
+                flattened[column] = null;
+            } else if (typeof value === 'object') {
+                // Arrays, and objects kept whole, become JSON strings
+                if (jsonViews && !scanning && isPlainObject(value) && table.rowCount < sampleSize) countJsonFields(table, nameKey, value);
+                flattened[column] = JSON.stringify(value);
+            } else {
+                flattened[column] = value;
+            }
+        }
+    }
+}
+
+/**
+ * Column for a key path of a table. The first path to claim a name keeps it;
+ * a later path that formats to the same name, ignoring case, gets a numbered
+ * suffix and a warning. Names are cached per path, so every row agrees.
+ */
+function resolveColumn(table, nameKey) {
+    const known = table.columnNames.get(nameKey);
+    if (known !== undefined) return known;
+    
+    if (columnBudget > 0 && table.columnNames.size >= columnBudget && !table.budgetWarned && !table.jsonPaths.has(nameKey)) {
+        // Only whole subtrees can switch to JSON; a new key beside existing columns still needs one
+        table.budgetWarned = true;
+        emit({
+            type: 'log',
+            data: { message: `"${table.name}" exceeds the column budget of ${columnBudget}: new keys of objects that already have columns are still added as columns`, level: 'warning' }
+        });
+    }
+    
+    const base = joinKeys(nameKey);
+    let name = base;
+    for (let n = 2; table.usedColumnNames.has(name.toLowerCase()); n++) name = `${base}_${n}`;
+    table.usedColumnNames.add(name.toLowerCase());
+    table.columnNames.set(nameKey, name);
+    
+    if (name !== base) {
+        const keyPath = nameKey.split(PATH_KEY_SEPARATOR).join('.');
+        console.warn(`[DB Worker] Column name collision in "${table.name}": ${keyPath} -> ${name}`);
+        emit({
+            type: 'log',
+            data: { message: `Key "${keyPath}" stored as column "${name}" in "${table.name}", since "${base}" is already used by another key`, level: 'warning' }
+        });
+    }
+    return name;
+}
+
+/**
+ * Join the keys of a path with the configured separator. Unless original key
+ * names are preserved, the result is sanitized to a plain identifier.
+ */
+function joinKeys(nameKey) {
+    const joined = nameKey.split(PATH_KEY_SEPARATOR).join(keySeparator);
+    return preserveKeys ? joined : sanitize(joined);
+}
+
+/**
+ * Parse include/exclude rules: dot-separated key paths, where * matches any one key
+ */
+function parsePathRules(include, exclude) {
+    const rules = { include: parseRuleList(include), exclude: parseRuleList(exclude), cache: new Map() };
+    return rules.include.length > 0 || rules.exclude.length > 0 ? rules : null;
+}
+
+function parseRuleList(rules) {
+    return (rules || [])
+        .map(rule => rule.trim())
+        .filter(Boolean)
+        .map(rule => rule.replace(/^\$\.?/, '').split('.'));
+}
+
+/**
+ * Parse the paths whose values are stored as JSON text, in the notation of the path rules
+ */
+function parseJsonRules(paths) {
+    const patterns = parseRuleList(paths);
+    return patterns.length > 0 ? { patterns, cache: new Map() } : null;
+}
+
+/**
+ * Check whether a key path is one of the JSON paths. Unlike the include and
+ * exclude rules, a JSON path matches only the value at that exact path.
+ */
+function matchesJsonRule(keyPath) {
+    const cacheKey = keyPath.join(PATH_KEY_SEPARATOR);
+    let matched = jsonRules.cache.get(cacheKey);
+    if (matched === undefined) {
+        matched = jsonRules.patterns.some(pattern => pattern.length === keyPath.length && pattern.every((key, i) => key === '*' || key === keyPath[i]));
+        jsonRules.cache.set(cacheKey, matched);
+    }
+    return matched;
+}
+
+/**
+ * Decide a key path against the rules: 'exclude' when an exclude rule or no
+ * include rule covers it, 'include' when it is covered by an include rule (or
+ * none are set), and 'partial' when it only leads to a deeper include rule.
+ */
+function matchPathRules(keyPath) {
+    const cacheKey = keyPath.join(PATH_KEY_SEPARATOR);
+    const cached = pathRules.cache.get(cacheKey);
+    if (cached) return cached;
+    
+    // A pattern covers a path when it matches the path or one of its ancestors
+    const covers = pattern => pattern.length <= keyPath.length && pattern.every((key, i) => key === '*' || key === keyPath[i]);
+    const leadsTo = pattern => pattern.length > keyPath.length && keyPath.every((key, i) => pattern[i] === '*' || pattern[i] === key);
+    
+    let rule;
+    if (pathRules.exclude.some(covers)) rule = 'exclude';
+    else if (pathRules.include.length === 0 || pathRules.include.some(covers)) rule = 'include';
+    else if (pathRules.include.some(leadsTo)) rule = 'partial';
+    else rule = 'exclude';
+    
+    pathRules.cache.set(cacheKey, rule);
+    return rule;
+}
+
+/**
+ * Decide whether an object is stored whole as JSON text instead of being
+ * flattened. Past the depth limit it always is. Otherwise the choice is made
+ * the first time a path is seen and kept for the table, so every row agrees:
+ * JSON paths, subtrees picked by planColumnBudget(), and new subtrees that
+ * appear once the table has used up its column budget go to JSON.
+ */
+function storeAsJson(table, nameKey, keyPath, depth) {
+    if (maxDepth > 0 && depth + 1 >= maxDepth) return true;
+    if (table.jsonPaths.has(nameKey)) return true;
+    if (table.flattenedPaths.has(nameKey)) return false;
+    
+    if (keyPath && jsonRules && matchesJsonRule(keyPath)) {
+        table.jsonPaths.add(nameKey);
+        return true;
+    }
+    if (columnBudget > 0 && table.columnNames.size >= columnBudget) {
+        table.jsonPaths.add(nameKey);
+        logJsonSubtree(table, nameKey, `the column budget of ${columnBudget} is used up`);
+        return true;
+    }
+    table.flattenedPaths.add(nameKey);
+    return false;
+}
+
+function logJsonSubtree(table, nameKey, reason) {
+    const keyPath = nameKey.split(PATH_KEY_SEPARATOR).join('.');
+    console.log(`[DB Worker] Storing "${keyPath}" of "${table.name}" as JSON: ${reason}`);
+    emit({ type: 'log', data: { message: `Storing "${keyPath}" in "${table.name}" as JSON, since ${reason}` } });
+}
+
+/**
+ * Pick the subtrees of a top-level table to store as JSON so that the keys of
+ * its held sample fit the column budget, then process the held records.
+ * While over budget, the smallest subtree whose switch is enough is taken;
+ * when no single subtree is enough, the largest is taken and the search repeats.
+ * Child tables of relational mode only switch subtrees that are new once
+ * their budget is used up (see storeAsJson()).
+ */
+function planColumnBudget(table) {
+    const sample = table.shapeSample;
+    table.shapeSample = null;
+    
+    const root = createShapeNode('');
+    for (const { obj } of sample) scanShape(root, obj, pathRules || jsonRules ? table.path : null, 0);
+    
+    let total = countShapeColumns(root);
+    while (total > columnBudget) {
+        const candidates = [];
+        collectShapeCandidates(root, candidates);
+        if (candidates.length === 0) break;
+        
+        const excess = total - columnBudget;
+        const sufficient = candidates.filter(candidate => candidate.saving >= excess);
+        const pick = sufficient.length > 0
+            ? sufficient.reduce((a, b) => (b.saving < a.saving ? b : a))
+            : candidates.reduce((a, b) => (b.saving > a.saving ? b : a));
+        
+        pick.node.json = true;
+        table.jsonPaths.add(pick.node.nameKey);
+        logJsonSubtree(table, pick.node.nameKey, `its ${pick.saving + 1} sampled columns put the table over the column budget of ${columnBudget}`);
+        total -= pick.saving;
+    }
+    
+    for (const entry of sample) {
+        if (failed) return;
+        currentSource = entry.source;
+        processRow(table, entry.obj, null);
+    }
+}
+
+function createShapeNode(nameKey) {
+    return { nameKey, fields: new Map(), scalar: false, json: false };
+}
+
+/**
+ * Merge the key paths of one record into a shape tree, following the same
+ * rules as flattenInto(): excluded paths and child-table arrays take no
+ * column, and objects that are stored as JSON anyway take one.
+ */
+function scanShape(node, obj, path, depth) {
+    for (const key in obj) {
+        if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
+        
+        const value = obj[key];
+        const keyPath = path ? [...path, key] : null;
+        if (keyPath && pathRules && matchPathRules(keyPath) === 'exclude') continue;
+        const jsonPath = Boolean(keyPath && jsonRules && matchesJsonRule(keyPath));
+        if (relational && Array.isArray(value) && isObjectArray(value) && !jsonPath) continue;
+        
+        let child = node.fields.get(key);
+        if (!child) {
+            child = createShapeNode(node.nameKey ? `${node.nameKey}${PATH_KEY_SEPARATOR}${key}` : key);
+            node.fields.set(key, child);
+        }
+        if (!isPlainObject(value)) {
+            child.scalar = true;
+        } else if (jsonPath || (maxDepth > 0 && depth + 1 >= maxDepth)) {
+            child.json = true;
+        } else {
+            scanShape(child, value, keyPath, depth + 1);
+        }
+    }
+}
+
+function countShapeColumns(node) {
+    if (node.json || node.fields.size === 0) return 1;
+    let count = node.scalar ? 1 : 0;
+    for (const child of node.fields.values()) count += countShapeColumns(child);
+    return count;
+}
+
+/**
+ * Collect the subtrees that could still switch to JSON, with the columns each switch saves
+ */
+function collectShapeCandidates(node, candidates) {
+    for (const child of node.fields.values()) {
+        if (child.json || child.fields.size === 0) continue;
+        const saving = countShapeColumns(child) - 1;
+        if (saving > 0) candidates.push({ node: child, saving });
+        collectShapeCandidates(child, candidates);
+    }
+}
+
+/**
+ * Count the nested fields of a sampled object stored as JSON, for the json_extract view
+ */
+function countJsonFields(table, nameKey, value) {
+    let fields = table.jsonFields.get(nameKey);
+    if (!fields) {
+        fields = new Map();
+        table.jsonFields.set(nameKey, fields);
+    }
+    const visit = (obj, prefix) => {
+        for (const key in obj) {
+            if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
+            const fieldKey = prefix ? `${prefix}${PATH_KEY_SEPARATOR}${key}` : key;
+            if (isPlainObject(obj[key])) visit(obj[key], fieldKey);
+            else if (obj[key] !== null && obj[key] !== undefined) fields.set(fieldKey, (fields.get(fieldKey) || 0) + 1);
+        }
+    };
+    visit(value, '');
+}
+
+/**
+ * Quote a name for use as an SQL identifier
+ */
+export function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build schema from sample objects (one builder per table).
+ * Each column keeps the narrowest value kind that fits every sampled value,
+ * plus sample statistics for the schema review.
+ */
+function createSchemaBuilder() {
+    return {
+        columns: {},
+        rows: 0,
+        // Set once every row of the table has been added, which makes the null counts exact
+        complete: false,
+        
+        add(obj) {
+            this.rows++;
+            for (const key in obj) {
+                if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
+                
+                const value = obj[key];
+                const kind = detectKind(value);
+                
+                if (!this.columns[key]) {
+                    this.columns[key] = { name: key, kind: null, kinds: {}, stats: createColumnStats() };
+                }
+                
+                const column = this.columns[key];
+                column.kind = widenKind(column.kind, kind);
+                if (kind !== null) column.kinds[kind] = (column.kinds[kind] || 0) + 1;
+                recordValue(column.stats, value, false);
+            }
+        },
+        
+        // Conflicts are only known once the final kind is, so count them from the kind tally
+        getSampleStats(name) {
+            const column = this.columns[name];
+            const summary = summarizeStats(column.stats, this.rows);
+            summary.conflicts = Object.keys(column.kinds)
+                .filter(kind => isConflict(column.kind || 'text', kind))
+                .reduce((sum, kind) => sum + column.kinds[kind], 0);
+            return summary;
+        },
+        
+        getSchema() {
+            return Object.values(this.columns).map(col => ({
+                name: col.name,
+                kind: col.kind || 'text',
+                type: columnType(col.kind),
+                stats: createColumnStats()
+            }));
+        }
+    };
+}
+
+function buildSchema(table, obj) {
+    table.builder.add(obj);
+}
+
+/**
+ * Detect the kind of a JavaScript value. Strings are classified by content
+ * when string inference is on: numbers, booleans and ISO-8601 dates.
+ * Returns null for null so it never influences the column kind.
+ */
+function detectKind(value) {
+    if (value === null || value === undefined) return null;
+    
+    const type = typeof value;
+    
+    if (type === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'real';
+    } else if (type === 'boolean') {
+        return 'boolean';
+    } else if (type === 'string' && inferStrings) {
+        if (INTEGER_PATTERN.test(value)) return 'integer';
+        // Exponents can overflow to Infinity, which SQLite would store as NULL
+        if (REAL_PATTERN.test(value) && Number.isFinite(Number(value))) return 'real';
+        if (BOOLEAN_PATTERN.test(value)) return 'boolean';
+        if (DATE_PATTERN.test(value) && isCalendarDate(value)) return 'date';
+        if (DATETIME_PATTERN.test(value) && isCalendarDate(value) && !Number.isNaN(Date.parse(value))) return 'datetime';
+    }
+    return 'text';
+}
+
+/**
+ * Whether the leading YYYY-MM-DD of a string names a real day. Date.parse
+ * rolls days over (2024-02-30 becomes March 1st), so the parsed date has to
+ * format back to the same text.
+ */
+function isCalendarDate(value) {
+    const day = value.slice(0, 10);
+    const ms = Date.parse(day);
+    return !Number.isNaN(ms) && new Date(ms).toISOString().slice(0, 10) === day;
+}
+
+/**
+ * Whether a column of the given kind can store a value of another kind
+ * without losing information (real > integer > boolean, datetime > date)
+ */
+function acceptsKind(columnKind, valueKind) {
+    if (valueKind === null || columnKind === valueKind || columnKind === 'text') return true;
+    if (columnKind === 'real') return valueKind === 'integer' || valueKind === 'boolean';
+    if (columnKind === 'integer') return valueKind === 'boolean';
+    if (columnKind === 'datetime') return valueKind === 'date';
+    return false;
+}
+
+/**
+ * Whether a value is counted as a conflict in a column: any value the kind
+ * cannot hold, and anything recognizably non-text in a text column
+ */
+function isConflict(columnKind, valueKind) {
+    if (valueKind === null) return false;
+    return !acceptsKind(columnKind, valueKind) || (columnKind === 'text' && valueKind !== 'text');
+}
+
+/**
+ * Smallest kind that holds both, falling back to text when they are unrelated
+ */
+function widenKind(a, b) {
+    if (a === null) return b;
+    if (acceptsKind(a, b)) return a;
+    if (acceptsKind(b, a)) return b;
+    return 'text';
+}
+
+/**
+ * SQLite type for a value kind
+ */
+function columnType(kind) {
+    switch (kind) {
+        case 'integer':
+        case 'boolean':
+            return 'INTEGER'; // SQLite uses 0/1 for booleans
+        case 'real':
+            return 'REAL';
+        case 'date':
+        case 'datetime':
+            return dateStorage === 'epoch' ? 'INTEGER' : dateStorage === 'julian' ? 'REAL' : 'TEXT';
+        default:
+            return 'TEXT';
+    }
+}
+
+/**
+ * Value kind implied by a declared SQLite type
+ */
+function kindForType(type) {
+    return type === 'INTEGER' ? 'integer' : type === 'REAL' ? 'real' : 'text';
+}
+
+/**
+ * Convert a value for storage in a column, counting it in the column statistics.
+ * Values that do not fit the column kind are stored unchanged and counted as conflicts.
+ */
+function convertValue(value, col) {
+    if (value === undefined || value === null) return null;
+    
+    const kind = detectKind(value);
+    const conflict = isConflict(col.kind || 'text', kind);
+    if (col.stats) recordValue(col.stats, value, conflict);
+    
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (conflict || typeof value !== 'string' || col.kind === 'text') return value;
+    
+    switch (kind) {
+        case 'integer':
+        case 'real':
+            return Number(value);
+        case 'boolean':
+            return value.toLowerCase() === 'true' ? 1 : 0;
+        case 'date':
+        case 'datetime':
+            return convertDate(value);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Store an ISO-8601 string as ISO text, unix epoch seconds or a julian day number.
+ * Datetimes without an offset are read as UTC.
+ */
+function convertDate(value) {
+    if (dateStorage === 'iso') return value;
+    
+    const hasZone = value.length > 10 && /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+    const ms = Date.parse(value.length > 10 && !hasZone ? `${value.replace(' ', 'T')}Z` : value);
+    
+    return dateStorage === 'epoch' ? Math.floor(ms / 1000) : ms / 86400000 + 2440587.5;
+}
+
+function createColumnStats() {
+    return { values: 0, distinct: new Set(), conflicts: 0, maxLength: 0 };
+}
+
+function recordValue(stats, value, conflict) {
+    if (value === null || value === undefined) return;
+    stats.values++;
+    if (stats.distinct.size < DISTINCT_LIMIT) stats.distinct.add(value);
+    if (typeof value === 'string' && value.length > stats.maxLength) stats.maxLength = value.length;
+    if (conflict) stats.conflicts++;
+}
+
+/**
+ * Summarize column statistics over a number of rows for the main thread
+ */
+function summarizeStats(stats, rows) {
+    return {
+        nulls: rows - stats.values,
+        distinct: stats.distinct.size,
+        distinctCapped: stats.distinct.size >= DISTINCT_LIMIT,
+        conflicts: stats.conflicts,
+        maxLength: stats.maxLength
+    };
+}
+
+/**
+ * Only the main table is reviewed; child tables follow its lead automatically
+ */
+function needsReview(table) {
+    return reviewSchema && !table.parent;
+}
+
+/**
+ * Send the sampled schema to the main thread and wait for the edited version.
+ * Rows keep buffering in the table's batch until applyReviewedSchema() runs,
+ * while the main thread stops streaming so the buffer stays small.
+ */
+function requestSchemaReview(table) {
+    if (schemaReview) return schemaReview.promise;
+    
+    table.reviewing = true;
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    schemaReview = { table, promise, resolve };
+    
+    const columns = proposeColumns(table);
+    
+    console.log(`[DB Worker] Waiting for schema review of "${table.name}"`);
+    emit({ type: 'schemaProposal', data: { table: table.name, sampled: table.builder.rows, columns } });
+    emit({ type: 'status', data: { message: 'Waiting for schema review...' } });
+    
+    return promise;
+}
+
+/**
+ * Columns proposed for review, as sampled. After a full scan, columns that
+ * were never null come with NOT NULL ticked; it stays the reviewer's choice
+ * since rows appended later may leave them out.
+ */
+function proposeColumns(table) {
+    return table.builder.getSchema().map(col => {
+        const generated = relational && ['_row_id', '_parent_id', '_index'].includes(col.name);
+        const stats = table.builder.getSampleStats(col.name);
+        return {
+            source: col.name,
+            name: col.name,
+            type: col.type,
+            kind: col.kind,
+            stats,
+            include: true,
+            primaryKey: relational && col.name === '_row_id',
+            notNull: table.builder.complete && stats.nulls === 0,
+            unique: false,
+            generated
+        };
+    });
+}
+
+/**
+ * Create the reviewed table and flush the rows buffered while waiting
+ */
+export function applyReviewedSchema(columns) {
+    if (!schemaReview) {
+        console.warn('[DB Worker] Received schema without a pending review');
+        return;
+    }
+    
+    const { table, resolve } = schemaReview;
+    schemaReview = null;
+    table.reviewing = false;
+    
+    const schema = [];
+    for (const col of columns) {
+        if (!col.include) {
+            table.droppedColumns.add(col.source);
+            continue;
+        }
+        // Columns imported from a schema file may not have been sampled
+        const sampled = table.builder.columns[col.source];
+        schema.push({
+            name: col.source,
+            sqlName: col.name,
+            type: col.type,
+            kind: sampled ? sampled.kind || 'text' : kindForType(col.type),
+            stats: createColumnStats(),
+            primaryKey: Boolean(col.primaryKey),
+            notNull: Boolean(col.notNull),
+            unique: Boolean(col.unique)
+        });
+    }
+    
+    emit({ 
+        type: 'log', 
+        data: { message: `Schema reviewed: ${schema.length} columns kept, ${table.droppedColumns.size} dropped` }
+    });
+    
+    createTable(table, schema);
+    
+    // Rows that arrived during the review may carry columns the sample did not
+    for (const row of table.batch) {
+        checkAndAddNewColumns(table, row);
+    }
+    if (table.batch.length >= batchSize) {
+        applyPendingColumns(table);
+        insertBatch(table);
+    }
+    
+    resolve();
+}
+
+/**
+ * Create table with detected schema
+ */
+function createTable(table, schema = table.builder.getSchema()) {
+    suggestIndexes(table, schema);
+    
+    if (tableExists(table.name)) {
+        adoptExistingTable(table, schema);
+        return;
+    }
+    
+    table.schema = schema;
+    
+    console.log(`[DB Worker] Creating table "${table.name}" with schema:`, schema);
+    
+    if (schema.length === 0) {
+        console.error('[DB Worker] No schema detected from sample data');
+        emit({ 
+            type: 'error', 
+            data: { message: 'No schema could be detected from sample data' }
+        });
+        return;
+    }
+    
+    // Build CREATE TABLE statement
+    const markedKeys = schema.filter(col => col.primaryKey);
+    const keyColumns = markedKeys.length > 0 ? markedKeys : schema.filter(col => relational && col.name === '_row_id');
+    const definitions = schema.map(col => {
+        let definition = `${quoteIdentifier(columnName(col))} ${col.type}`;
+        if (keyColumns.length === 1 && keyColumns[0] === col) definition += ' PRIMARY KEY';
+        if (col.notNull) definition += ' NOT NULL';
+        // Child tables reference _row_id, so it stays unique even when another key was chosen
+        const referenced = relational && col.name === '_row_id' && !(keyColumns.length === 1 && keyColumns[0] === col);
+        if (col.unique || referenced) definition += ' UNIQUE';
+        return definition;
+    });
+    
+    // A composite key has to be declared as a table constraint
+    if (keyColumns.length > 1) {
+        definitions.push(`PRIMARY KEY (${keyColumns.map(col => quoteIdentifier(columnName(col))).join(', ')})`);
+    }
+    
+    if (relational && table.parent) {
+        definitions.push(`FOREIGN KEY ("_parent_id") REFERENCES ${quoteIdentifier(table.parent.name)} ("_row_id")`);
+    }
+    
+    const createTableSQL = `CREATE TABLE ${quoteIdentifier(table.name)} (${definitions.join(', ')})`;
+    
+    console.log('[DB Worker] CREATE TABLE SQL:', createTableSQL);
+    
+    try {
+        db.run(createTableSQL);
+        
+        // Initialize the existing columns set (dropped columns must never come back)
+        table.existingColumnsSet = new Set([...schema.map(col => col.name), ...table.droppedColumns]);
+        
+        console.log('[DB Worker] Table created successfully with columns:', schema.map(c => c.name));
+        
+        emit({ 
+            type: 'schema', 
+            data: { 
+                table: table.name,
+                parent: table.parent ? table.parent.name : null,
+                columns: schema.map(c => columnName(c)),
+                sql: createTableSQL
+            }
+        });
+        
+        emit({ 
+            type: 'log', 
+            data: { message: `Table "${table.name}" created with ${schema.length} columns` }
+        });
+        
+        ensureConflictKey(table);
+        
+    } catch (error) {
+        console.error('[DB Worker] Failed to create table:', error);
+        emit({ 
+            type: 'error', 
+            data: { message: `Failed to create table: ${error.message}` }
+        });
+    }
+}
+
+/**
+ * Remember the columns worth indexing, judged from the sample: _parent_id of
+ * child tables, and columns where most sampled values are distinct. Text too
+ * long for a useful index is suggested for full-text search instead.
+ */
+function suggestIndexes(table, schema) {
+    const suggestions = indexSuggestions.get(table.name) || { indexes: new Set(), fullText: new Set() };
+    indexSuggestions.set(table.name, suggestions);
+    
+    for (const col of schema) {
+        if (col.name === '_parent_id') {
+            suggestions.indexes.add(columnName(col));
+            continue;
+        }
+        const sampled = table.builder.columns[col.name];
+        if (!sampled || col.primaryKey || col.unique || col.name === '_row_id') continue;
+        
+        const values = Array.from(sampled.stats.distinct);
+        if (sampled.kind === 'text' && sampled.stats.maxLength > INDEX_MAX_TEXT) {
+            suggestions.fullText.add(columnName(col));
+            continue;
+        }
+        
+        const scalar = values.every(value => typeof value !== 'object');
+        // A full scan can see far more values than distinct ones are counted for
+        const highCardinality = sampled.stats.values >= INDEX_MIN_VALUES &&
+            (values.length >= sampled.stats.values * INDEX_DISTINCT_RATIO || values.length >= DISTINCT_LIMIT);
+        if (scalar && highCardinality && ['integer', 'text', 'date', 'datetime'].includes(sampled.kind)) {
+            suggestions.indexes.add(columnName(col));
+        }
+    }
+}
+
+/**
+ * Send the tables of the database to the main thread with suggested indexes
+ * and wait for the post-load choices. Resolves with null when skipped.
+ */
+function requestOptimization() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    optimizationReview = { promise, resolve };
+    
+    const tables = dataTables().map(name => {
+        const suggestions = findSuggestions(name);
+        const indexed = indexedColumns(name);
+        const info = db.exec(`PRAGMA table_info(${quoteIdentifier(name)})`)[0].values;
+        return {
+            name,
+            rows: countRows(name),
+            primaryKey: info.filter(row => row[5] > 0).sort((a, b) => a[5] - b[5]).map(row => row[1]),
+            columns: info.map(([, column, type]) => ({
+                name: column,
+                type: type || 'TEXT',
+                indexed: indexed.has(column.toLowerCase()),
+                suggestIndex: suggestions.indexes.has(column.toLowerCase()),
+                suggestFullText: suggestions.fullText.has(column.toLowerCase())
+            }))
+        };
+    });
+    
+    console.log('[DB Worker] Waiting for post-load optimization choices');
+    emit({ type: 'optimizeProposal', data: { tables } });
+    emit({ type: 'status', data: { message: 'Waiting for index choices...' } });
+    
+    return promise;
+}
+
+export function applyOptimizationPlan(plan) {
+    if (!optimizationReview) {
+        console.warn('[DB Worker] Received optimization choices without a pending request');
+        return;
+    }
+    const { resolve } = optimizationReview;
+    optimizationReview = null;
+    resolve(plan);
+}
+
+/**
+ * Tables holding data, which are the ones to optimize and export: everything
+ * but full-text tables and their shadow tables
+ */
+export function dataTables() {
+    const result = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND sql LIKE 'CREATE VIRTUAL TABLE%'");
+    const virtual = result.length > 0 ? result[0].values.map(row => row[0]) : [];
+    return listTables().filter(name => !virtual.some(vt => name === vt || name.startsWith(`${vt}_`)));
+}
+
+/**
+ * Suggestions for a table, by lower-cased column name. Tables only seen in an
+ * existing database have none.
+ */
+function findSuggestions(name) {
+    const lower = values => new Set(Array.from(values, value => value.toLowerCase()));
+    for (const [table, suggestions] of indexSuggestions) {
+        if (table.toLowerCase() === name.toLowerCase()) {
+            return { indexes: lower(suggestions.indexes), fullText: lower(suggestions.fullText) };
+        }
+    }
+    return { indexes: new Set(), fullText: new Set() };
+}
+
+/**
+ * Lower-cased names of the columns that lead an index or are the rowid alias
+ */
+function indexedColumns(name) {
+    const indexed = new Set();
+    for (const [, column, type, , , pk] of db.exec(`PRAGMA table_info(${quoteIdentifier(name)})`)[0].values) {
+        if (pk === 1 && String(type).toUpperCase() === 'INTEGER') indexed.add(column.toLowerCase());
+    }
+    const indexes = db.exec(`PRAGMA index_list(${quoteIdentifier(name)})`);
+    for (const row of indexes.length > 0 ? indexes[0].values : []) {
+        const info = db.exec(`PRAGMA index_info(${quoteIdentifier(row[1])})`);
+        if (info.length > 0) indexed.add(String(info[0].values[0][2]).toLowerCase());
+    }
+    return indexed;
+}
+
+/**
+ * Post-load step: primary keys, indexes and full-text tables per table, then
+ * ANALYZE and VACUUM. Each step is timed and logged, and a failing step is
+ * reported without stopping the others.
+ */
+function optimizeDatabase(plan) {
+    emit({ type: 'status', data: { message: 'Optimizing database...' } });
+    const available = new Set(dataTables());
+    
+    for (const table of plan.tables || []) {
+        if (!available.has(table.name)) continue;
+        
+        if (table.primaryKey) {
+            runStats.indexMs += timeStep(`Primary key "${table.name}"."${table.primaryKey}"`, () => {
+                rebuildWithPrimaryKey(table.name, table.primaryKey);
+            });
+        }
+        for (const column of table.indexes || []) {
+            runStats.indexMs += timeStep(`Index on "${table.name}"."${column}"`, () => {
+                db.run(`CREATE INDEX IF NOT EXISTS ${quoteIdentifier(`${table.name}_${column}_idx`)} ON ${quoteIdentifier(table.name)} (${quoteIdentifier(column)})`);
+            });
+        }
+        if (table.fullText && table.fullText.length > 0) {
+            runStats.indexMs += timeStep(`Full-text table "${table.name}_fts"`, () => {
+                return createFullTextIndex(table.name, table.fullText);
+            });
+        }
+    }
+    
+    if (plan.analyze) timeStep('ANALYZE', () => { db.run('ANALYZE'); });
+    if (plan.vacuum) timeStep('VACUUM', () => { db.run('VACUUM'); });
+}
+
+/**
+ * Run one post-load step and log how long it took. Returns the time in
+ * milliseconds, or 0 if the step failed.
+ */
+function timeStep(label, work) {
+    const started = performance.now();
+    try {
+        const detail = work();
+        const elapsed = performance.now() - started;
+        console.log(`[DB Worker] ${label} took ${elapsed.toFixed(1)} ms`);
+        emit({
+            type: 'log',
+            data: { message: `${label}${detail ? ` (${detail})` : ''} in ${Math.round(elapsed).toLocaleString()} ms` }
+        });
+        return elapsed;
+    } catch (error) {
+        console.error(`[DB Worker] ${label} failed:`, error);
+        emit({ type: 'log', data: { message: `${label} failed: ${error.message}`, level: 'warning' } });
+        return 0;
+    }
+}
+
+/**
+ * SQLite cannot add a primary key to a table, so the table is copied into a
+ * new one declaring it. Column types, NOT NULL, defaults, unique and foreign
+ * key constraints and explicit indexes are carried over. Duplicate or NULL
+ * keys fail the copy, which leaves the table as it was.
+ */
+function rebuildWithPrimaryKey(name, key) {
+    const info = db.exec(`PRAGMA table_info(${quoteIdentifier(name)})`)[0].values;
+    if (info.some(row => row[5] > 0)) throw new Error('table already has a primary key');
+    if (!info.some(row => row[1] === key)) throw new Error(`no column "${key}"`);
+    
+    const definitions = info.map(([, column, type, notNull, defaultValue]) => {
+        let definition = `${quoteIdentifier(column)} ${type}`;
+        if (column === key) definition += ' PRIMARY KEY NOT NULL';
+        else if (notNull) definition += ' NOT NULL';
+        if (defaultValue !== null) definition += ` DEFAULT ${defaultValue}`;
+        return definition;
+    });
+    
+    const indexes = db.exec(`PRAGMA index_list(${quoteIdentifier(name)})`);
+    for (const row of indexes.length > 0 ? indexes[0].values : []) {
+        if (row[3] !== 'u') continue;
+        const columns = db.exec(`PRAGMA index_info(${quoteIdentifier(row[1])})`)[0].values.map(col => quoteIdentifier(col[2]));
+        definitions.push(`UNIQUE (${columns.join(', ')})`);
+    }
+    
+    const foreignKeys = db.exec(`PRAGMA foreign_key_list(${quoteIdentifier(name)})`);
+    const references = new Map();
+    for (const [id, , parent, from, to] of foreignKeys.length > 0 ? foreignKeys[0].values : []) {
+        const reference = references.get(id) || { parent, from: [], to: [] };
+        reference.from.push(quoteIdentifier(from));
+        reference.to.push(quoteIdentifier(to));
+        references.set(id, reference);
+    }
+    for (const { parent, from, to } of references.values()) {
+        definitions.push(`FOREIGN KEY (${from.join(', ')}) REFERENCES ${quoteIdentifier(parent)} (${to.join(', ')})`);
+    }
+    
+    const explicitIndexes = db.exec("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL", [name]);
+    // Renaming fails while a view refers to the dropped table, so views are recreated afterwards
+    const views = db.exec("SELECT name, sql FROM sqlite_master WHERE type = 'view'");
+    const rebuilt = `${name}__rebuild`;
+    
+    db.run('BEGIN');
+    try {
+        for (const [view] of views.length > 0 ? views[0].values : []) db.run(`DROP VIEW ${quoteIdentifier(view)}`);
+        db.run(`CREATE TABLE ${quoteIdentifier(rebuilt)} (${definitions.join(', ')})`);
+        db.run(`INSERT INTO ${quoteIdentifier(rebuilt)} SELECT * FROM ${quoteIdentifier(name)}`);
+        db.run(`DROP TABLE ${quoteIdentifier(name)}`);
+        db.run(`ALTER TABLE ${quoteIdentifier(rebuilt)} RENAME TO ${quoteIdentifier(name)}`);
+        for (const [sql] of explicitIndexes.length > 0 ? explicitIndexes[0].values : []) db.run(sql);
+        for (const [, sql] of views.length > 0 ? views[0].values : []) db.run(sql);
+        db.run('COMMIT');
+    } catch (error) {
+        db.run('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Create an external-content full-text table over TEXT columns, so the text
+ * is not stored twice. FTS5 is preferred; builds of SQLite without it, such
+ * as the default sql.js build, get FTS4. Returns the module used.
+ */
+function createFullTextIndex(name, columns) {
+    const fts = quoteIdentifier(`${name}_fts`);
+    const columnList = columns.map(quoteIdentifier).join(', ');
+    // The content table is named by a string literal
+    const content = `'${name.replace(/'/g, "''")}'`;
+    db.run(`DROP TABLE IF EXISTS ${fts}`);
+    
+    let module = 'fts5';
+    try {
+        db.run(`CREATE VIRTUAL TABLE ${fts} USING fts5(${columnList}, content=${content}, content_rowid='rowid')`);
+    } catch (error) {
+        if (!/no such module/.test(error.message)) throw error;
+        module = 'fts4';
+        db.run(`CREATE VIRTUAL TABLE ${fts} USING fts4(${columnList}, content=${content})`);
+    }
+    db.run(`INSERT INTO ${fts} (${fts}) VALUES ('rebuild')`);
+    return module;
+}
+
+/**
+ * Build the INSERT statement for a table. The conflict strategy only applies
+ * to top-level tables; child tables always append.
+ */
+function buildInsertSQL(table) {
+    const names = table.schema.map(col => columnName(col));
+    const columnList = names.map(quoteIdentifier).join(', ');
+    const placeholders = table.schema.map(() => '?').join(', ');
+    const strategy = table.parent ? 'insert' : conflictStrategy;
+    
+    if (strategy === 'replace') {
+        return `INSERT OR REPLACE INTO ${quoteIdentifier(table.name)} (${columnList}) VALUES (${placeholders})`;
+    }
+    
+    let insertSQL = `INSERT INTO ${quoteIdentifier(table.name)} (${columnList}) VALUES (${placeholders})`;
+    
+    if (strategy === 'upsert') {
+        const keys = new Set(conflictKey.map(key => key.toLowerCase()));
+        const updates = names.filter(name => !keys.has(name.toLowerCase())).map(quoteIdentifier);
+        const target = conflictKey.map(quoteIdentifier).join(', ');
+        insertSQL += updates.length > 0
+            ? ` ON CONFLICT (${target}) DO UPDATE SET ${updates.map(name => `${name} = excluded.${name}`).join(', ')}`
+            : ` ON CONFLICT (${target}) DO NOTHING`;
+    }
+    
+    return insertSQL;
+}
+
+/**
+ * Upserts need a unique index on the key columns to resolve conflicts against
+ */
+function ensureConflictKey(table) {
+    if (table.parent || conflictStrategy !== 'upsert') return;
+    
+    const columns = new Set(table.schema.map(col => columnName(col).toLowerCase()));
+    const missing = conflictKey.filter(key => !columns.has(key.toLowerCase()));
+    if (conflictKey.length === 0 || missing.length > 0) {
+        emit({
+            type: 'error',
+            data: { message: `Upsert key column not found in "${table.name}": ${missing.join(', ') || '(none given)'}` }
+        });
+        return;
+    }
+    
+    const indexSQL = `CREATE UNIQUE INDEX IF NOT EXISTS ${quoteIdentifier(`${table.name}_upsert_key`)} ON ${quoteIdentifier(table.name)} (${conflictKey.map(quoteIdentifier).join(', ')})`;
+    console.log('[DB Worker] Upsert key index SQL:', indexSQL);
+    try {
+        const started = performance.now();
+        db.run(indexSQL);
+        runStats.indexMs += performance.now() - started;
+        emit({ type: 'log', data: { message: `Upserting on ${conflictKey.join(', ')}` } });
+    } catch (error) {
+        // Existing rows with duplicate keys cannot be indexed
+        console.error('[DB Worker] Failed to create upsert key index:', error);
+        emit({
+            type: 'error',
+            data: { message: `Cannot upsert on ${conflictKey.join(', ')}: ${error.message}` }
+        });
+    }
+}
+
+/**
+ * Names of the user tables in the database
+ */
+function listTables() {
+    const result = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    return result.length > 0 ? result[0].values.map(row => row[0]) : [];
+}
+
+export function tableExists(name) {
+    const stmt = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ? COLLATE NOCASE");
+    stmt.bind([name]);
+    const exists = stmt.step();
+    stmt.free();
+    return exists;
+}
+
+/**
+ * Column names and declared types of an existing table
+ */
+export function getTableColumns(name) {
+    const result = db.exec(`PRAGMA table_info(${quoteIdentifier(name)})`);
+    return result.length > 0 ? result[0].values.map(row => ({ name: row[1], type: row[2] || 'TEXT' })) : [];
+}
+
+/**
+ * First generated _row_id for a table, continuing after rows already in the database
+ */
+function nextRowId(name) {
+    if (!relational || !db || !tableExists(name)) return 1;
+    if (!getTableColumns(name).some(col => col.name === '_row_id')) return 1;
+    
+    const result = db.exec(`SELECT COALESCE(MAX("_row_id"), 0) + 1 FROM ${quoteIdentifier(name)}`);
+    return result[0].values[0][0];
+}
+
+/**
+ * Append into a table that already exists in the database.
+ * Incoming columns are matched to existing ones by name (case-insensitively);
+ * the rest go through the same pending-column path as columns discovered mid-stream.
+ */
+function adoptExistingTable(table, incoming) {
+    const existing = getTableColumns(table.name);
+    const bySqlName = new Map(incoming.map(col => [columnName(col).toLowerCase(), col]));
+    
+    table.schema = existing.map(col => {
+        const match = bySqlName.get(col.name.toLowerCase());
+        bySqlName.delete(col.name.toLowerCase());
+        return {
+            name: match ? match.name : col.name,
+            sqlName: col.name,
+            type: col.type,
+            kind: match ? match.kind : kindForType(col.type),
+            stats: createColumnStats()
+        };
+    });
+    table.existingColumnsSet = new Set([...table.schema.map(col => col.name), ...table.droppedColumns]);
+    
+    for (const col of bySqlName.values()) {
+        table.pendingColumns.push({ ...col, stats: createColumnStats() });
+        table.existingColumnsSet.add(col.name);
+    }
+    
+    console.log(`[DB Worker] Appending to existing table "${table.name}"`);
+    emit({ 
+        type: 'schema', 
+        data: { 
+            table: table.name,
+            parent: table.parent ? table.parent.name : null,
+            columns: table.schema.map(c => columnName(c)),
+            sql: null
+        }
+    });
+    emit({ 
+        type: 'log', 
+        data: { message: `Appending to existing table "${table.name}" (${existing.length} columns, ${table.pendingColumns.length} new)` }
+    });
+    
+    applyPendingColumns(table);
+    ensureConflictKey(table);
+}
+
+/**
+ * Sanitize column/table names for SQL
+ */
+function sanitize(name) {
+    return name.replace(/[^a-zA-Z0-9_]/g, '_');
+}
+
+/**
+ * SQL name of a schema column: the reviewed name if renamed, else the name
+ * resolveColumn() gave its key path
+ */
+function columnName(col) {
+    return col.sqlName || col.name;
+}
+
+/**
+ * Check if object has new columns not in schema, and add them to pending list
+ */
+function checkAndAddNewColumns(table, obj) {
+    if (!table.schema || !db) return;
+    
+    for (const key in obj) {
+        if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
+        
+        if (!table.existingColumnsSet.has(key)) {
+            const kind = detectKind(obj[key]) || 'text';
+            table.pendingColumns.push({ name: key, sqlName: freeColumnName(table, key), kind: kind, type: columnType(kind), stats: createColumnStats() });
+            // Add to set immediately to avoid duplicates in pending list
+            table.existingColumnsSet.add(key);
+        }
+    }
+}
+
+/**
+ * Name for a column added after the table was created. A column renamed in
+ * the schema review can hold the name a later key formats to; that key gets
+ * a numbered suffix instead, compared ignoring case like SQLite does.
+ */
+function freeColumnName(table, base) {
+    const taken = new Set([...table.schema, ...table.pendingColumns].map(col => columnName(col).toLowerCase()));
+    let name = base;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${base}_${n}`;
+    
+    if (name !== base) {
+        emit({
+            type: 'log',
+            data: { message: `Key "${base}" stored as column "${name}" in "${table.name}", since a reviewed column is named "${base}"`, level: 'warning' }
+        });
+    }
+    return name;
+}
+
+/**
+ * Apply pending column additions to the database
+ */
+function applyPendingColumns(table) {
+    if (table.pendingColumns.length === 0) return;
+    
+    console.log(`[DB Worker] Adding ${table.pendingColumns.length} new columns to "${table.name}":`, table.pendingColumns);
+    
+    try {
+        // Use transaction for atomicity
+        db.run('BEGIN');
+        
+        for (const col of table.pendingColumns) {
+            const alterSQL = `ALTER TABLE ${quoteIdentifier(table.name)} ADD COLUMN ${quoteIdentifier(columnName(col))} ${col.type}`;
+            console.log('[DB Worker] ALTER TABLE SQL:', alterSQL);
+            db.run(alterSQL);
+            table.schema.push(col);
+            
+            emit({ 
+                type: 'log', 
+                data: { 
+                    message: `Added new column: ${columnName(col)} (${col.type})${table.name === tableName ? '' : ` to ${table.name}`}`,
+                    level: 'info'
+                }
+            });
+        }
+        
+        db.run('COMMIT');
+        console.log('[DB Worker] New columns added successfully');
+        table.pendingColumns = [];
+    } catch (error) {
+        console.error('[DB Worker] Failed to add new columns:', error);
+        db.run('ROLLBACK');
+        emit({ 
+            type: 'error', 
+            data: { message: `Failed to add new columns: ${error.message}` }
+        });
+    }
+}
+
+/**
+ * Insert a batch of rows. If the batch fails and the error policy allows,
+ * it is retried row by row so only the failing records are rejected.
+ */
+function insertBatch(table) {
+    const batch = table.batch;
+    if (batch.length === 0 || failed) return;
+    
+    console.log(`[DB Worker] Inserting batch of ${batch.length} rows into "${table.name}"`);
+    
+    // Log first row of each batch for debugging
+    if (batch.length > 0 && (table.rowsInserted === 0 || table.rowsInserted % (batchSize * 10) === 0)) {
+        console.log('[DB Worker] Sample row from batch:', batch[0]);
+        console.log('[DB Worker] Sample row keys:', Object.keys(batch[0]));
+    }
+    
+    const started = performance.now();
+    let previewRows = [];
+    let inserted;
+    
+    try {
+        inserted = writeBatch(table, previewRows, false);
+    } catch (error) {
+        console.error('[DB Worker] Failed to insert batch:', error);
+        if (errorPolicy === 'abort') {
+            abortConversion(`Failed to insert batch: ${error.message}`);
+            return;
+        }
+        
+        previewRows = [];
+        try {
+            inserted = writeBatch(table, previewRows, true);
+        } catch (retryError) {
+            // Not a problem with individual rows, e.g. the table itself is unusable
+            console.error('[DB Worker] Failed to insert rows individually:', retryError);
+            abortConversion(`Failed to insert batch: ${retryError.message}`);
+            return;
+        }
+    }
+    
+    table.rowsInserted += inserted;
+    rowsProcessed += inserted;
+    runStats.insertMs += performance.now() - started;
+    runStats.batches++;
+    runStats.peakBatchRows = Math.max(runStats.peakBatchRows, batch.length);
+    console.log(`[DB Worker] Batch inserted successfully. Total rows: ${rowsProcessed}`);
+    table.batch = [];
+    table.sources = [];
+    
+    if (table.name === previewTableName) {
+        postPreview(table, previewRows);
+    }
+    
+    postProgress(false);
+    
+    emit({
+        type: 'status',
+        data: { message: `Processing... ${rowsProcessed.toLocaleString()} rows` }
+    });
+}
+
+/**
+ * Write the pending batch of a table in one transaction and return the rows inserted.
+ * With perRow, a row that fails is rejected on its own and the rest are still
+ * committed; otherwise the first failure rolls back the batch and is thrown.
+ */
+function writeBatch(table, previewRows, perRow) {
+    const schema = table.schema;
+    let inserted = 0;
+    
+    db.run('BEGIN');
+    let stmt = null;
+    try {
+        stmt = db.prepare(buildInsertSQL(table));
+        
+        table.batch.forEach((obj, i) => {
+            const values = schema.map(col => convertValue(obj[col.name], col));
+            
+            if (perRow) {
+                try {
+                    stmt.run(values);
+                } catch (error) {
+                    rejectRecord(table.sources[i], table.name, error.message, obj);
+                    return;
+                }
+            } else {
+                stmt.run(values);
+            }
+            inserted++;
+            
+            if (table.name === previewTableName && table.previewed + previewRows.length < PREVIEW_ROWS) {
+                previewRows.push(values);
+            }
+        });
+        
+        stmt.free();
+        db.run('COMMIT');
+        return inserted;
+        
+    } catch (error) {
+        if (stmt) stmt.free();
+        db.run('ROLLBACK');
+        throw error;
+    }
+}
+
+function createRunStats() {
+    return { parseMs: 0, insertMs: 0, indexMs: 0, batches: 0, peakBatchRows: 0 };
+}
+
+/**
+ * Run parser work and count its time as parse time. Inserts and index builds
+ * it triggers are timed on their own, so their share is taken back out.
+ */
+function measureParse(work) {
+    const started = performance.now();
+    const nested = runStats.insertMs + runStats.indexMs;
+    work();
+    runStats.parseMs += performance.now() - started - (runStats.insertMs + runStats.indexMs - nested);
+}
+
+/**
+ * Report rows inserted and bytes consumed by the parser for the current file.
+ * Throttled, since it is called for every chunk and every batch.
+ */
+function postProgress(force) {
+    const now = performance.now();
+    if (!force && now - lastProgressAt < PROGRESS_INTERVAL) return;
+    lastProgressAt = now;
+    
+    emit({
+        type: 'progress',
+        data: {
+            rowsProcessed,
+            bytesProcessed,
+            totalBytes: fileSize,
+            // The first pass of a two-pass file inserts nothing
+            scanning,
+            progress: fileSize > 0 ? Math.min(bytesProcessed / fileSize, 1) : 0
+        }
+    });
+}
+
+/**
+ * Finalize the current file once. A cancel that settles a schema review the
+ * end of input is waiting on joins the finalization already under way, so
+ * the file completes a single time.
+ */
+function finalizeProcessing() {
+    if (!finalization) finalization = finishFile();
+    return finalization;
+}
+
+/**
+ * Insert the remaining rows and report the file complete
+ */
+async function finishFile() {
+    console.log('[DB Worker] Finalizing processing...');
+    console.log(`[DB Worker] Total objects parsed: ${objectCount}`);
+    
+    // Files shorter than the sample still have their records held back
+    for (const table of Array.from(tables.values())) {
+        if (table.shapeSample) planColumnBudget(table);
+    }
+    
+    for (const table of tables.values()) {
+        console.log(`[DB Worker] Remaining batch size for "${table.name}": ${table.batch.length}`);
+        
+        // Create table if not created yet (for small files)
+        if (!table.schema && table.rowCount > 0) {
+            if (needsReview(table)) {
+                await requestSchemaReview(table);
+            } else {
+                createTable(table);
+            }
+        }
+        
+        // Apply any remaining pending columns
+        applyPendingColumns(table);
+        
+        // Insert any remaining rows
+        if (table.batch.length > 0) {
+            insertBatch(table);
+        }
+    }
+    
+    // An aborted file has already reported its error
+    if (failed) return;
+    
+    if (jsonViews) {
+        for (const table of tables.values()) {
+            if (table.schema && table.jsonFields.size > 0) createJsonView(table);
+        }
+    }
+    
+    // The post-load step covers every table of the run, so it waits for the last file
+    if (optimizeAfterLoad && lastFile && !cancelled) {
+        const plan = await requestOptimization();
+        if (plan) optimizeDatabase(plan);
+    }
+    
+    postProgress(true);
+    
+    // Get database size
+    const dbData = db.export();
+    const dbSize = dbData.byteLength;
+    
+    console.log('[DB Worker] Processing complete!');
+    console.log(`[DB Worker] Final statistics - Total rows: ${rowsProcessed}, DB size: ${dbSize} bytes`);
+    
+    emit({
+        type: 'complete',
+        data: {
+            totalRows: rowsProcessed,
+            dbSize: dbSize,
+            malformedLines: malformedLines,
+            skipped: skippedRecords,
+            quarantined: quarantinedRecords,
+            cancelled,
+            stats: {
+                bytes: bytesProcessed,
+                parseMs: Math.round(runStats.parseMs),
+                insertMs: Math.round(runStats.insertMs),
+                indexMs: Math.round(runStats.indexMs),
+                batches: runStats.batches,
+                peakBatchRows: runStats.peakBatchRows
+            },
+            tables: Array.from(tables.values(), table => ({
+                name: table.name,
+                rows: table.rowsInserted,
+                storedRows: table.schema ? countRows(table.name) : 0,
+                columns: (table.schema || []).map(col => ({
+                    name: columnName(col),
+                    type: col.type,
+                    kind: col.kind,
+                    ...summarizeStats(col.stats, table.rowsInserted)
+                }))
+            }))
+                .concat(metaRows > 0 ? [summarizeStoredTable(META_TABLE)] : [])
+                .concat(quarantinedRecords > 0 ? [summarizeStoredTable(ERRORS_TABLE)] : [])
+        }
+    });
+    
+    emit({
+        type: 'log',
+        data: { message: `${cancelled ? 'Cancelled after' : 'Successfully processed'} ${rowsProcessed.toLocaleString()} rows` }
+    });
+    
+    if (host.fileComplete) await host.fileComplete(dbData);
+}
+
+/**
+ * Create "<table>_view": all columns of the table, plus a json_extract()
+ * column for each nested field of its JSON columns that was set in at least
+ * VIEW_FIELD_RATIO of the sampled rows. A view left by an earlier file of
+ * the run is replaced.
+ */
+function createJsonView(table) {
+    const sampled = Math.min(table.rowCount, sampleSize);
+    const names = new Set(getTableColumns(table.name).map(col => col.name.toLowerCase()));
+    const fields = [];
+    for (const [nameKey, counts] of table.jsonFields) {
+        const column = table.columnNames.get(nameKey);
+        // Columns dropped in the schema review have nothing to extract from
+        if (!column || !names.has(column.toLowerCase())) continue;
+        for (const [fieldKey, count] of counts) {
+            if (count >= sampled * VIEW_FIELD_RATIO) fields.push({ column, name: joinKeys(`${nameKey}${PATH_KEY_SEPARATOR}${fieldKey}`), fieldKey, count });
+        }
+    }
+    const kept = new Set(fields.slice().sort((a, b) => b.count - a.count).slice(0, VIEW_MAX_FIELDS));
+    
+    const selects = [];
+    for (const field of fields) {
+        if (!kept.has(field) || names.has(field.name.toLowerCase())) continue;
+        names.add(field.name.toLowerCase());
+        const path = jsonPathExpression(field.fieldKey.split(PATH_KEY_SEPARATOR)).replace(/'/g, "''");
+        selects.push(`json_extract(${quoteIdentifier(field.column)}, '${path}') AS ${quoteIdentifier(field.name)}`);
+    }
+    if (selects.length === 0) return;
+    
+    const viewName = `${table.name}_view`;
+    try {
+        db.run(`DROP VIEW IF EXISTS ${quoteIdentifier(viewName)}`);
+        db.run(`CREATE VIEW ${quoteIdentifier(viewName)} AS SELECT *, ${selects.join(', ')} FROM ${quoteIdentifier(table.name)}`);
+        console.log(`[DB Worker] Created view "${viewName}" with ${selects.length} JSON fields`);
+        emit({ type: 'log', data: { message: `View "${viewName}" exposes ${selects.length} nested JSON fields of "${table.name}"` } });
+    } catch (error) {
+        console.error(`[DB Worker] Failed to create view "${viewName}":`, error);
+        emit({ type: 'log', data: { message: `Could not create view "${viewName}": ${error.message}`, level: 'warning' } });
+    }
+}
+
+/**
+ * SQLite JSON path for a list of keys, e.g. $.address."zip code"
+ */
+function jsonPathExpression(keys) {
+    return '$' + keys.map(key => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `.${key}` : `."${key.replace(/"/g, '\\"')}"`)).join('');
+}
+
+/**
+ * Summary of a table written without the schema builder, with statistics read back from SQLite
+ */
+export function summarizeStoredTable(name) {
+    const storedRows = countRows(name);
+    return {
+        name,
+        rows: storedRows,
+        storedRows,
+        columns: getTableColumns(name).map(col => {
+            const column = quoteIdentifier(col.name);
+            const [nulls, distinct, maxLength] = db.exec(
+                `SELECT COUNT(*) - COUNT(${column}), COUNT(DISTINCT ${column}), MAX(CASE WHEN typeof(${column}) = 'text' THEN LENGTH(${column}) END) FROM ${quoteIdentifier(name)}`
+            )[0].values[0];
+            return { name: col.name, type: col.type, kind: kindForType(col.type), nulls, distinct, distinctCapped: false, conflicts: 0, maxLength: maxLength || 0 };
+        })
+    };
+}
+
+/**
+ * Rows currently in a table, including rows from earlier files or an existing database
+ */
+export function countRows(name) {
+    return db.exec(`SELECT COUNT(*) FROM ${quoteIdentifier(name)}`)[0].values[0][0];
+}
+
+/**
+ * Send the main table's column summary and any newly inserted preview rows
+ */
+function postPreview(table, rows) {
+    table.previewed += rows.length;
+    emit({
+        type: 'preview',
+        data: {
+            table: table.name,
+            totalRows: table.rowsInserted,
+            columns: table.schema.map(col => ({
+                name: columnName(col),
+                type: col.type,
+                kind: col.kind,
+                nulls: table.rowsInserted - col.stats.values
+            })),
+            rows
+        }
+    });
+}
@@ -0,0 +1,279 @@
+// Export formats written from the converted database: SQL dumps for SQLite,
+// PostgreSQL and MySQL, CSV, TSV, NDJSON and one JSON document. Writers take
+// a text writer and read rows one at a time; the worker (db-worker.js) posts
+// what they write to the page.
+
+import { dataTables, db, getTableColumns, quoteIdentifier } from './engine.mjs';
+
+// Text is encoded for export once this many characters are buffered
+const EXPORT_TEXT_BUFFER = 64 * 1024;
+// Rows per INSERT statement in SQL dumps
+const DUMP_INSERT_ROWS = 100;
+
+/**
+ * Buffer text and hand it to a byte sink as UTF-8, EXPORT_TEXT_BUFFER characters at a time
+ */
+export function createTextWriter(sink) {
+    const encoder = new TextEncoder();
+    let pending = [];
+    let length = 0;
+    
+    const flush = () => {
+        if (length === 0) return;
+        sink.write(encoder.encode(pending.join('')));
+        pending = [];
+        length = 0;
+    };
+    
+    return {
+        write(text) {
+            pending.push(text);
+            length += text.length;
+            if (length >= EXPORT_TEXT_BUFFER) flush();
+        },
+        flush
+    };
+}
+
+/**
+ * Call back with each row of a table, read through a statement one row at a
+ * time. Integers come as BigInt so values beyond 2^53 survive the export.
+ */
+function eachRow(name, callback) {
+    const stmt = db.prepare(`SELECT * FROM ${quoteIdentifier(name)}`);
+    try {
+        while (stmt.step()) callback(stmt.get(null, { useBigInt: true }));
+    } finally {
+        stmt.free();
+    }
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Write a table as CSV or TSV with a header row. Fields holding the
+ * delimiter, quotes or line breaks are quoted; NULL is an empty field and
+ * BLOBs are written as hex.
+ */
+export function writeDelimited(text, name, delimiter) {
+    const escape = value => (value.includes(delimiter) || /["\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const field = value => {
+        if (value === null) return '';
+        if (value instanceof Uint8Array) return toHex(value);
+        return escape(String(value));
+    };
+    
+    text.write(getTableColumns(name).map(col => escape(col.name)).join(delimiter) + '\r\n');
+    eachRow(name, row => text.write(row.map(field).join(delimiter) + '\r\n'));
+}
+
+/**
+ * Write the rows of a table as JSON objects, each followed by `separator`
+ * except the last, which is followed by `end`
+ */
+export function writeJsonRows(text, name, separator, end) {
+    const keys = getTableColumns(name).map(col => `${JSON.stringify(col.name)}:`);
+    let first = true;
+    eachRow(name, row => {
+        if (!first) text.write(separator);
+        first = false;
+        text.write(`{${row.map((value, i) => keys[i] + jsonValue(value)).join(',')}}${end}`);
+    });
+}
+
+/**
+ * JSON text for a column value. Integers are written digit for digit, even past
+ * the range JavaScript numbers hold exactly; BLOBs become hex strings.
+ */
+function jsonValue(value) {
+    if (value === null) return 'null';
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+    if (value instanceof Uint8Array) return `"${toHex(value)}"`;
+    return JSON.stringify(value);
+}
+
+/**
+ * Write every table as { "<table>": [rows...], ... }, one row per line. The
+ * document has the shape "One Table per Top-Level Key" imports.
+ */
+export function writeJsonDocument(text) {
+    const names = dataTables();
+    text.write('{');
+    names.forEach((name, i) => {
+        text.write(`${i > 0 ? ',' : ''}\n${JSON.stringify(name)}: [\n`);
+        writeJsonRows(text, name, ',\n', '');
+        text.write('\n]');
+    });
+    text.write('\n}\n');
+}
+
+/**
+ * Write a SQL script that recreates the database in SQLite, PostgreSQL or
+ * MySQL. The SQLite dump reuses the stored schema, including indexes,
+ * full-text tables, views and triggers. The other dialects get tables built
+ * from the column affinities, with primary keys, then the rows, then indexes
+ * and foreign keys; views and full-text tables are SQLite-specific and are
+ * listed in comments instead.
+ */
+export function writeSqlDump(text, dialect) {
+    const quote = dialect === 'mysql' ? name => `\`${String(name).replace(/`/g, '``')}\`` : quoteIdentifier;
+    const names = dataTables();
+    
+    text.write(`-- SQL dump (${dialect}) written by JSON to SQLite on ${new Date().toISOString()}\n`);
+    if (dialect === 'sqlite') text.write('PRAGMA foreign_keys=OFF;\nBEGIN TRANSACTION;\n');
+    else if (dialect === 'postgresql') text.write('BEGIN;\n');
+    else text.write('SET NAMES utf8mb4;\nSET FOREIGN_KEY_CHECKS=0;\nSTART TRANSACTION;\n');
+    
+    for (const name of names) {
+        text.write('\n');
+        if (dialect === 'sqlite') {
+            text.write(`${tableSql(name)};\n`);
+        } else {
+            text.write(`${dialectCreateTable(name, dialect, quote)};\n`);
+        }
+        writeInserts(text, name, dialect, quote);
+    }
+    
+    const schema = db.exec("SELECT type, name, tbl_name, sql FROM sqlite_master WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite_%' ORDER BY rowid");
+    const entries = schema.length > 0 ? schema[0].values : [];
+    const exported = new Set(names);
+    const virtual = entries.filter(([type, , , sql]) => type === 'table' && /^CREATE VIRTUAL TABLE/i.test(sql));
+    
+    text.write('\n');
+    if (dialect === 'sqlite') {
+        for (const [type, , table, sql] of entries) {
+            if (type === 'index' && exported.has(table)) text.write(`${sql};\n`);
+        }
+        for (const [, name, , sql] of virtual) {
+            text.write(`${sql};\n`);
+            // External-content tables index text stored elsewhere; the others hold their own rows
+            if (/content\s*=/i.test(sql)) text.write(`INSERT INTO ${quoteIdentifier(name)} (${quoteIdentifier(name)}) VALUES ('rebuild');\n`);
+            else writeInserts(text, name, dialect, quote);
+        }
+        for (const [type, , , sql] of entries) {
+            if (type === 'view' || type === 'trigger') text.write(`${sql};\n`);
+        }
+        text.write('COMMIT;\n');
+        return;
+    }
+    
+    for (const name of names) writeDialectIndexes(text, name, quote);
+    for (const name of names) {
+        const foreignKeys = db.exec(`PRAGMA foreign_key_list(${quoteIdentifier(name)})`);
+        const references = new Map();
+        for (const [id, , parent, from, to] of foreignKeys.length > 0 ? foreignKeys[0].values : []) {
+            const reference = references.get(id) || { parent, from: [], to: [] };
+            reference.from.push(quote(from));
+            reference.to.push(quote(to));
+            references.set(id, reference);
+        }
+        for (const { parent, from, to } of references.values()) {
+            if (!exported.has(parent)) continue;
+            text.write(`ALTER TABLE ${quote(name)} ADD FOREIGN KEY (${from.join(', ')}) REFERENCES ${quote(parent)} (${to.join(', ')});\n`);
+        }
+    }
+    for (const [type, name] of entries) {
+        if (type === 'view' || type === 'trigger') text.write(`-- ${type} ${name} is SQLite SQL and was not converted\n`);
+    }
+    for (const [, name] of virtual) text.write(`-- full-text table ${name} is SQLite-specific and was not converted\n`);
+    text.write(dialect === 'mysql' ? 'COMMIT;\nSET FOREIGN_KEY_CHECKS=1;\n' : 'COMMIT;\n');
+}
+
+function tableSql(name) {
+    return db.exec("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [name])[0].values[0][0];
+}
+
+/**
+ * CREATE TABLE for PostgreSQL or MySQL from the table's columns. MySQL cannot
+ * key unbounded text, so text and blob columns in a key or index get a
+ * 255-character type there.
+ */
+function dialectCreateTable(name, dialect, quote) {
+    const info = db.exec(`PRAGMA table_info(${quoteIdentifier(name)})`)[0].values;
+    const keyed = new Set(info.filter(row => row[5] > 0).map(row => row[1]));
+    const indexes = db.exec(`PRAGMA index_list(${quoteIdentifier(name)})`);
+    for (const row of indexes.length > 0 ? indexes[0].values : []) {
+        const columns = db.exec(`PRAGMA index_info(${quoteIdentifier(row[1])})`);
+        for (const col of columns.length > 0 ? columns[0].values : []) keyed.add(col[2]);
+    }
+    
+    const definitions = info.map(([, column, type, notNull, defaultValue]) => {
+        let definition = `${quote(column)} ${dialectType(type, dialect, keyed.has(column))}`;
+        if (notNull) definition += ' NOT NULL';
+        if (defaultValue !== null) definition += ` DEFAULT ${defaultValue}`;
+        return definition;
+    });
+    const primaryKey = info.filter(row => row[5] > 0).sort((a, b) => a[5] - b[5]).map(row => quote(row[1]));
+    if (primaryKey.length > 0) definitions.push(`PRIMARY KEY (${primaryKey.join(', ')})`);
+    
+    return `CREATE TABLE ${quote(name)} (\n  ${definitions.join(',\n  ')}\n)`;
+}
+
+/**
+ * Column type in another dialect, from the SQLite affinity of the declared type.
+ * Columns declared without a type, like _meta."value", hold values of any
+ * type; they become text, which takes the integers and strings they store.
+ */
+function dialectType(type, dialect, keyed) {
+    const declared = String(type || '').toUpperCase();
+    let affinity;
+    if (declared.includes('INT')) affinity = 'integer';
+    else if (declared === '' || /CHAR|CLOB|TEXT/.test(declared)) affinity = 'text';
+    else if (declared.includes('BLOB')) affinity = 'blob';
+    else if (/REAL|FLOA|DOUB/.test(declared)) affinity = 'real';
+    else affinity = 'numeric';
+    
+    if (dialect === 'postgresql') {
+        return { integer: 'BIGINT', text: 'TEXT', blob: 'BYTEA', real: 'DOUBLE PRECISION', numeric: 'NUMERIC' }[affinity];
+    }
+    if (affinity === 'text') return keyed ? 'VARCHAR(255)' : 'LONGTEXT';
+    if (affinity === 'blob') return keyed ? 'VARBINARY(255)' : 'LONGBLOB';
+    return { integer: 'BIGINT', real: 'DOUBLE', numeric: 'DECIMAL(38, 10)' }[affinity];
+}
+
+/**
+ * Write a table's rows as INSERT statements of up to DUMP_INSERT_ROWS rows
+ */
+function writeInserts(text, name, dialect, quote) {
+    const prefix = `INSERT INTO ${quote(name)} (${getTableColumns(name).map(col => quote(col.name)).join(', ')}) VALUES\n`;
+    let rows = 0;
+    eachRow(name, row => {
+        text.write(rows % DUMP_INSERT_ROWS === 0 ? prefix : ',\n');
+        text.write(`(${row.map(value => sqlLiteral(value, dialect)).join(', ')})`);
+        rows++;
+        if (rows % DUMP_INSERT_ROWS === 0) text.write(';\n');
+    });
+    if (rows % DUMP_INSERT_ROWS !== 0) text.write(';\n');
+}
+
+function sqlLiteral(value, dialect) {
+    if (value === null) return 'NULL';
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+    if (value instanceof Uint8Array) return dialect === 'postgresql' ? `'\\x${toHex(value)}'` : `X'${toHex(value)}'`;
+    // MySQL treats backslashes in strings as escapes
+    const escaped = dialect === 'mysql' ? value.replace(/\\/g, '\\\\') : value;
+    return `'${escaped.replace(/'/g, "''")}'`;
+}
+
+/**
+ * CREATE INDEX statements for a table's indexes other than its primary key,
+ * with names for the unnamed ones SQLite creates for UNIQUE constraints.
+ * Expression indexes cannot be translated and are skipped.
+ */
+function writeDialectIndexes(text, name, quote) {
+    const indexes = db.exec(`PRAGMA index_list(${quoteIdentifier(name)})`);
+    for (const [, index, unique, origin] of indexes.length > 0 ? indexes[0].values : []) {
+        if (origin === 'pk') continue;
+        const columns = db.exec(`PRAGMA index_info(${quoteIdentifier(index)})`)[0].values.map(col => col[2]);
+        if (columns.some(column => column === null)) {
+            text.write(`-- index ${index} on expressions was not converted\n`);
+            continue;
+        }
+        const indexName = origin === 'u' ? `${name}_${columns.join('_')}_key` : index;
+        text.write(`CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${quote(indexName)} ON ${quote(name)} (${columns.map(quote).join(', ')});\n`);
+    }
+}
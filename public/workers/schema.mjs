@@ -0,0 +1,25 @@
+// Schema files exported from the schema editor, shared by the page
+// (app/SchemaEditor.tsx) and the command line (bin/json-to-sqlite.mjs) so
+// both apply them the same way.
+
+/**
+ * Merge an imported schema file into the proposed columns.
+ * Columns are matched by source key; imported columns the sample has not seen
+ * yet are appended so they are created up front.
+ *
+ * @template {{ source: string, generated?: boolean, kind?: string, stats?: object }} Column
+ * @param {Column[]} proposed
+ * @param {Column[]} imported
+ * @returns {Column[]}
+ */
+export function mergeSchema(proposed, imported) {
+    const bySource = new Map(imported.map(col => [col.source, col]));
+    const merged = proposed.map(col => {
+        const override = bySource.get(col.source);
+        bySource.delete(col.source);
+        if (!override || col.generated) return col;
+        return { ...col, ...override, generated: col.generated, kind: col.kind, stats: col.stats };
+    });
+    const added = Array.from(bySource.values(), col => ({ ...col, generated: false, kind: undefined, stats: undefined }));
+    return [...merged, ...added];
+}
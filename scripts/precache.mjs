@@ -0,0 +1,85 @@
+// Finish the static export in out/ so the app installs for offline use and
+// runs under a `script-src 'self' 'wasm-unsafe-eval'` Content Security Policy
+// (sql.js needs 'wasm-unsafe-eval' to compile SQLite's WebAssembly):
+// 1. The inline scripts Next.js writes into each page (its RSC payload) move
+//    into same-origin files named after their content hash
+// 2. Every exported file is listed with a content hash in a precache manifest,
+//    itself named after the hash of the whole list, which out/sw.js imports
+// Runs after `next build`.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const out = path.join(root, 'out');
+const { basePath = '' } = require(path.join(root, 'next.config.js'));
+
+// Replaced in out/sw.js with the manifest's file name
+const MANIFEST_PLACEHOLDER = 'const PRECACHE_MANIFEST_URL = null;';
+const INLINE_SCRIPT = /<script>([\s\S]*?)<\/script>/g;
+const INLINE_DIRECTORY = path.join('_next', 'static', 'inline');
+
+const hash = content => crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.name.startsWith('.')) return [];
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(file) : [file];
+  });
+}
+
+/**
+ * Move the inline scripts of one page into files; they are plain classic
+ * scripts, so a blocking <script src> in the same place runs them in the same order
+ */
+function externalizeScripts(htmlFile) {
+  let moved = 0;
+  const html = fs.readFileSync(htmlFile, 'utf8').replace(INLINE_SCRIPT, (_, code) => {
+    const name = path.join(INLINE_DIRECTORY, `${hash(code)}.js`);
+    fs.mkdirSync(path.join(out, INLINE_DIRECTORY), { recursive: true });
+    fs.writeFileSync(path.join(out, name), code);
+    moved++;
+    return `<script src="${basePath}/${name.split(path.sep).join('/')}"></script>`;
+  });
+  fs.writeFileSync(htmlFile, html);
+  return moved;
+}
+
+if (!fs.existsSync(out)) {
+  console.error('[precache] out/ not found; run next build first');
+  process.exit(1);
+}
+
+for (const file of listFiles(out).filter(file => file.endsWith('.html'))) {
+  const moved = externalizeScripts(file);
+  console.log(`[precache] ${path.relative(out, file)}: moved ${moved} inline scripts`);
+}
+
+// Pages are requested by directory, e.g. /json-to-sqlite/ for index.html
+const entries = listFiles(out)
+  .map(file => path.relative(out, file).split(path.sep).join('/'))
+  .filter(file => file !== 'sw.js' && !file.startsWith('precache-manifest.'))
+  .sort()
+  .map(file => ({
+    url: `${basePath}/${file.replace(/(^|\/)index\.html$/, '$1')}`,
+    revision: hash(fs.readFileSync(path.join(out, file)))
+  }));
+
+const version = hash(JSON.stringify(entries));
+const manifestName = `precache-manifest.${version}.js`;
+fs.writeFileSync(path.join(out, manifestName), `self.__PRECACHE_MANIFEST = ${JSON.stringify({ version, entries })};\n`);
+
+const swFile = path.join(out, 'sw.js');
+const sw = fs.readFileSync(swFile, 'utf8');
+if (!sw.includes(MANIFEST_PLACEHOLDER)) {
+  console.error(`[precache] ${MANIFEST_PLACEHOLDER} not found in sw.js`);
+  process.exit(1);
+}
+fs.writeFileSync(swFile, sw.replace(MANIFEST_PLACEHOLDER, `const PRECACHE_MANIFEST_URL = '${manifestName}';`));
+
+console.log(`[precache] Wrote ${manifestName} with ${entries.length} files`);
@@ -0,0 +1,32 @@
+// Copy the worker's runtime dependencies from node_modules into public/vendor,
+// so they are served from the app's own origin instead of a CDN.
+// Runs before `next dev` and `next build`; public/vendor is not committed.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const vendor = path.join(root, 'public', 'vendor');
+
+const packageDir = name => path.join(root, 'node_modules', name);
+
+fs.rmSync(vendor, { recursive: true, force: true });
+fs.mkdirSync(vendor, { recursive: true });
+
+// sql.js ships a UMD script; a module worker can only import ES modules, so
+// the build gains a default export. The WASM file sits next to it, where the
+// worker's locateFile() looks for it.
+const sqlJs = path.join(packageDir('sql.js'), 'dist');
+const sqlWasm = fs.readFileSync(path.join(sqlJs, 'sql-wasm.js'), 'utf8');
+fs.writeFileSync(path.join(vendor, 'sql-wasm.js'), `${sqlWasm}\nexport default initSqlJs;\n`);
+fs.copyFileSync(path.join(sqlJs, 'sql-wasm.wasm'), path.join(vendor, 'sql-wasm.wasm'));
+
+// The parser is already published as ES modules with relative imports; only the .js files are needed
+const parserDir = path.join(packageDir('@streamparser/json'), 'dist', 'mjs');
+fs.cpSync(parserDir, path.join(vendor, 'streamparser-json'), {
+  recursive: true,
+  filter: source => fs.statSync(source).isDirectory() || source.endsWith('.js')
+});
+
+console.log(`[vendor] Copied sql.js and @streamparser/json to ${path.relative(root, vendor)}`);
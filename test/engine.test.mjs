@@ -0,0 +1,291 @@
+// Tests of the conversion engine (public/workers/engine.mjs), driven in Node
+// the way bin/json-to-sqlite.mjs drives it, of the exports written from its
+// database, and of the schema file merging the page and the CLI share. Run
+// with `npm test`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import { JSONParser } from '@streamparser/json';
+import * as engine from '../public/workers/engine.mjs';
+import { writeSqlDump } from '../public/workers/export.mjs';
+import { mergeSchema } from '../public/workers/schema.mjs';
+
+// Engine diagnostics would bury the test report
+console.log = () => {};
+console.info = () => {};
+console.debug = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+/**
+ * Convert `text` as one file and collect the events. Schema reviews are
+ * answered with the proposal unless `review` edits it, or cancels the
+ * conversion by returning null. The optimize step is skipped unless `plan`
+ * returns the choices for the proposed tables. With `passes: 2` the
+ * file is streamed twice, a schema scan first, as the page and CLI do;
+ * `cancelScan` cancels halfway through the scan instead. `existing` is an
+ * exported database to append to.
+ */
+async function convert(text, options = {}, { name = 'input.json', passes = 1, review = columns => columns, plan = () => null, cancelScan = false, existing } = {}) {
+  const events = [];
+  engine.connectEngine({
+    JSONParser,
+    loadSqlJs: () => initSqlJs(),
+    emit(message) {
+      events.push(message);
+      if (message.type === 'schemaProposal') {
+        queueMicrotask(() => {
+          const columns = review(message.data.columns);
+          if (columns) engine.applyReviewedSchema(columns);
+          else engine.cancelConversion();
+        });
+      } else if (message.type === 'optimizeProposal') {
+        queueMicrotask(() => engine.applyOptimizationPlan(plan(message.data.tables)));
+      }
+    }
+  });
+  const tableName = options.tableName ?? 'data';
+  engine.configureConversion({ ...options, tableName });
+  await engine.initDatabase(existing);
+  for (let pass = passes; pass > 0; pass--) {
+    const scan = pass > 1;
+    engine.startFile({ name, size: text.length, tableName, inputFormat: options.inputFormat, scan });
+    if (scan && cancelScan) {
+      const half = Math.floor(text.length / 2);
+      engine.receiveChunk({ data: text.slice(0, half), bytes: half });
+      await engine.cancelConversion();
+      break;
+    }
+    await engine.readStream(new Blob([text]).stream());
+  }
+  return { events, db: engine.db };
+}
+
+const query = (db, sql) => db.exec(sql)[0]?.values ?? [];
+const ofType = (events, type) => events.filter(event => event.type === type);
+
+test('a minified single-line document is parsed as JSON with a record path', async () => {
+  const text = JSON.stringify({ data: [{ id: 1 }, { id: 2 }, { id: 3 }] });
+  const { db } = await convert(text, { recordPath: '$.data.*' });
+  assert.deepEqual(query(db, 'SELECT "id" FROM "data" ORDER BY "id"'), [[1], [2], [3]]);
+});
+
+test('a minified single-line document is parsed as JSON without a record path', async () => {
+  const { db } = await convert(JSON.stringify({ id: 1, tags: ['a'] }));
+  assert.deepEqual(query(db, 'SELECT "id", "tags" FROM "data"'), [[1, '["a"]']]);
+});
+
+test('NDJSON is detected from two lines that parse on their own', async () => {
+  const { db } = await convert('{"id":1}\n{"id":2}\n{"id":3}\n');
+  assert.deepEqual(query(db, 'SELECT COUNT(*) FROM "data"'), [[3]]);
+});
+
+test('relational mode moves arrays of objects into child tables linked to their parent rows', async () => {
+  const orders = [
+    { id: 10, items: [{ sku: 'a', qty: 2 }, { sku: 'b', qty: 1 }] },
+    { id: 20, items: [{ sku: 'c', qty: 5, parts: [{ part: 'x' }, { part: 'y' }] }] },
+    { id: 30, items: [] }
+  ];
+  const { db } = await convert(JSON.stringify(orders), { tableName: 'orders', relational: true });
+  assert.deepEqual(query(db, 'SELECT "_row_id", "id" FROM "orders"'), [[1, 10], [2, 20], [3, 30]]);
+  assert.deepEqual(
+    query(db, 'SELECT o."id", i."_index", i."sku", i."qty" FROM "orders_items" i JOIN "orders" o ON o."_row_id" = i."_parent_id" ORDER BY i."_row_id"'),
+    [[10, 0, 'a', 2], [10, 1, 'b', 1], [20, 0, 'c', 5]]
+  );
+  assert.deepEqual(
+    query(db, 'SELECT i."sku", p."_index", p."part" FROM "orders_items_parts" p JOIN "orders_items" i ON i."_row_id" = p."_parent_id" ORDER BY p."_row_id"'),
+    [['c', 0, 'x'], ['c', 1, 'y']]
+  );
+  assert.deepEqual(query(db, 'SELECT "table", "from", "to" FROM pragma_foreign_key_list(\'orders_items\')'), [['orders', '_parent_id', '_row_id']]);
+});
+
+test('split-top-level parses a minified document into one table per key', async () => {
+  const text = JSON.stringify({ users: [{ id: 1 }, { id: 2 }], orders: [{ id: 7 }], version: 3 });
+  const { db } = await convert(text, { splitTopLevel: true });
+  assert.deepEqual(query(db, 'SELECT COUNT(*) FROM "users"'), [[2]]);
+  assert.deepEqual(query(db, 'SELECT COUNT(*) FROM "orders"'), [[1]]);
+  assert.deepEqual(query(db, 'SELECT "key", "value" FROM "_meta"'), [['version', 3]]);
+});
+
+test('SQL dumps of a split-top-level database type _meta values as text', async () => {
+  const text = JSON.stringify({ users: [{ id: 1, name: 'Ann' }], version: 3, label: 'beta' });
+  const { db } = await convert(text, { splitTopLevel: true });
+  const dump = dialect => {
+    let sql = '';
+    writeSqlDump({ write: chunk => { sql += chunk; } }, dialect);
+    return sql;
+  };
+  
+  const postgres = dump('postgresql');
+  assert.match(postgres, /CREATE TABLE "_meta" \(\n {2}"file" TEXT,\n {2}"key" TEXT,\n {2}"value" TEXT,\n {2}"type" TEXT,/);
+  assert.doesNotMatch(postgres, /BYTEA/);
+  assert.match(postgres, /\('input\.json', 'version', 3, 'number'\),\n\('input\.json', 'label', 'beta', 'string'\);/);
+  assert.match(dump('mysql'), /`value` LONGTEXT,/);
+  
+  // The SQLite dump replays into an identical database
+  const SQL = await initSqlJs();
+  const copy = new SQL.Database();
+  copy.exec(dump('sqlite'));
+  assert.deepEqual(query(copy, 'SELECT "key", "value" FROM "_meta" ORDER BY rowid'), query(db, 'SELECT "key", "value" FROM "_meta" ORDER BY rowid'));
+  assert.deepEqual(query(copy, 'SELECT "id", "name" FROM "users"'), [[1, 'Ann']]);
+});
+
+test('split-top-level rejects NDJSON input with an error', async () => {
+  const { events, db } = await convert('{"id":1}\n{"id":2}\n', { splitTopLevel: true, inputFormat: 'ndjson' }, { name: 'input.ndjson' });
+  assert.equal(ofType(events, 'error').length, 1);
+  assert.equal(ofType(events, 'complete').length, 0);
+  assert.deepEqual(query(db, "SELECT name FROM sqlite_master WHERE type = 'table'"), []);
+});
+
+test('strings are inferred as numbers, booleans and real calendar dates only', async () => {
+  const rows = [
+    { count: '42', ratio: '1.5e3', huge: '1e400', flag: 'TRUE', day: '2024-02-29', bad_day: '2024-02-30', at: '2024-02-29T12:00:00Z', bad_at: '2024-02-30T12:00:00Z', zip: '01234' },
+    { count: '-7', ratio: '2', huge: '3.5', flag: 'false', day: '2023-12-31', bad_day: '2024-03-01', at: '2024-03-01 08:30', bad_at: '2024-03-01T08:30:00Z', zip: '98765' }
+  ];
+  const { events, db } = await convert(JSON.stringify(rows));
+  const [schema] = ofType(events, 'schema');
+  assert.equal(schema.data.sql, 'CREATE TABLE "data" ("count" INTEGER, "ratio" REAL, "huge" TEXT, "flag" INTEGER, "day" TEXT, "bad_day" TEXT, "at" TEXT, "bad_at" TEXT, "zip" TEXT)');
+  assert.deepEqual(query(db, 'SELECT "count", "ratio", "huge", "flag", "zip" FROM "data"'), [[42, 1500, '1e400', 1, '01234'], [-7, 2, '3.5', 0, '98765']]);
+});
+
+test('dates are stored as epoch seconds or julian days, and impossible days stay text', async () => {
+  const rows = [
+    { day: '2024-02-29', at: '2024-02-29T12:00:00Z', bad: '2024-02-30' },
+    { day: '1970-01-01', at: '2024-03-01 00:00', bad: '2024-02-28' }
+  ];
+  const epoch = await convert(JSON.stringify(rows), { dateStorage: 'epoch' });
+  assert.deepEqual(query(epoch.db, 'SELECT "day", "at", "bad" FROM "data"'), [[1709164800, 1709208000, '2024-02-30'], [0, 1709251200, '2024-02-28']]);
+  const julian = await convert(JSON.stringify(rows), { dateStorage: 'julian' });
+  assert.deepEqual(query(julian.db, 'SELECT "day", "at" FROM "data"'), [[2460369.5, 2460370], [2440587.5, 2460370.5]]);
+});
+
+const badLine = '{"id":1}\n{"id":2,\n{"id":3}\n';
+const ndjson = { inputFormat: 'ndjson' };
+
+test('the skip policy drops a malformed NDJSON line and keeps the others', async () => {
+  const { events, db } = await convert(badLine, { ...ndjson, errorPolicy: 'skip' }, { name: 'input.ndjson' });
+  const [complete] = ofType(events, 'complete');
+  assert.equal(complete.data.skipped, 1);
+  assert.equal(complete.data.malformedLines, 1);
+  assert.deepEqual(query(db, 'SELECT "id" FROM "data"'), [[1], [3]]);
+  assert.deepEqual(query(db, "SELECT name FROM sqlite_master WHERE name = '_errors'"), []);
+});
+
+test('the quarantine policy keeps a malformed NDJSON line in _errors', async () => {
+  const { events, db } = await convert(badLine, { ...ndjson, errorPolicy: 'quarantine' }, { name: 'input.ndjson' });
+  assert.equal(ofType(events, 'complete')[0].data.quarantined, 1);
+  assert.deepEqual(query(db, 'SELECT "id" FROM "data"'), [[1], [3]]);
+  const [[file, table, record, line, error, value]] = query(db, 'SELECT "file", "table", "record", "line", "error", "value" FROM "_errors"');
+  assert.deepEqual([file, table, record, line, value], ['input.ndjson', 'data', null, 2, '{"id":2,']);
+  assert.match(error, /^Malformed JSON: /);
+});
+
+test('the abort policy stops at a malformed NDJSON line', async () => {
+  const { events } = await convert(badLine, { ...ndjson, errorPolicy: 'abort' }, { name: 'input.ndjson' });
+  const errors = ofType(events, 'error');
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].data.message, /^Malformed line 2: /);
+  assert.equal(ofType(events, 'complete').length, 0);
+});
+
+test('the quarantine policy records a JSON syntax error and keeps the records before it', async () => {
+  const { events, db } = await convert('[{"id":1},{"id":2} {"id":3}]', { errorPolicy: 'quarantine' });
+  assert.equal(ofType(events, 'complete')[0].data.quarantined, 1);
+  assert.deepEqual(query(db, 'SELECT "id" FROM "data"'), [[1], [2]]);
+  const [[record, line, error]] = query(db, 'SELECT "record", "line", "error" FROM "_errors"');
+  assert.deepEqual([record, line], [3, null]);
+  assert.match(error, /^JSON Parse Error: /);
+});
+
+test('cancelling a schema review at the end of input completes the file once', async () => {
+  const text = JSON.stringify([{ id: 1 }, { id: 2 }]);
+  const { events, db } = await convert(text, { reviewSchema: true, sampleSize: 100 }, { review: () => null });
+  const completes = ofType(events, 'complete');
+  assert.equal(completes.length, 1);
+  assert.equal(completes[0].data.cancelled, true);
+  assert.deepEqual(query(db, 'SELECT COUNT(*) FROM "data"'), [[2]]);
+});
+
+test('primary keys and full-text indexes are built for a table name with quotes', async () => {
+  const text = JSON.stringify([{ id: 1, body: 'hello world' }, { id: 2, body: 'goodbye' }]);
+  const plan = tables => ({
+    tables: tables.map(table => ({ name: table.name, primaryKey: 'id', indexes: ['body'], fullText: ['body'] })),
+    analyze: false,
+    vacuum: false
+  });
+  const { events, db } = await convert(text, { tableName: 'o\'brien "jr"', optimize: true }, { plan });
+  assert.equal(ofType(events, 'error').length, 0);
+  assert.ok(!events.some(event => event.type === 'log' && / failed: /.test(event.data.message)));
+  assert.deepEqual(query(db, 'SELECT "name", "pk" FROM pragma_table_info(\'o\'\'brien "jr"\') WHERE "pk" > 0'), [['id', 1]]);
+  const table = '"o\'brien ""jr"""';
+  const fts = '"o\'brien ""jr""_fts"';
+  assert.deepEqual(query(db, `SELECT "id" FROM ${fts} JOIN ${table} ON ${table}.rowid = ${fts}.rowid WHERE ${fts} MATCH 'hello'`), [[1]]);
+});
+
+test('a key added after the review gets a suffix when a reviewed column took its name', async () => {
+  const rows = [{ a: 1 }, { a: 2 }, { a: 3 }, { a: 4, b: 'x' }, { a: 5, b: 'y' }, { a: 6, b: 'z' }];
+  const review = columns => columns.map(col => (col.source === 'a' ? { ...col, name: 'b' } : col));
+  const { events, db } = await convert(JSON.stringify(rows), { reviewSchema: true, sampleSize: 2, batchSize: 1 }, { review });
+  assert.equal(ofType(events, 'error').length, 0);
+  assert.deepEqual(query(db, 'SELECT "b", "b_2" FROM "data" WHERE "b_2" IS NOT NULL'), [[4, 'x'], [5, 'y'], [6, 'z']]);
+});
+
+test('schema files merge by source key and add columns the sample has not seen', () => {
+  const proposed = [
+    { source: '_row_id', name: '_row_id', generated: true, kind: 'integer' },
+    { source: 'id', name: 'id', kind: 'integer', stats: { nulls: 0 } }
+  ];
+  const imported = [
+    { source: '_row_id', name: 'renamed' },
+    { source: 'id', name: 'user_id', kind: 'text' },
+    { source: 'late', name: 'late' }
+  ];
+  assert.deepEqual(mergeSchema(proposed, imported), [
+    proposed[0],
+    { source: 'id', name: 'user_id', generated: undefined, kind: 'integer', stats: { nulls: 0 } },
+    { source: 'late', name: 'late', generated: false, kind: undefined, stats: undefined }
+  ]);
+});
+
+// The first 10 records hold neither the late key nor a fractional score
+const lateKeyRows = Array.from({ length: 1000 }, (_, i) => (
+  i < 10 ? { id: i, score: i } : { id: i, score: i + 0.5, late: `value ${i}` }
+));
+
+test('a full schema scan creates the table once with the final types', async () => {
+  const { events, db } = await convert(JSON.stringify(lateKeyRows), { schemaScan: 'full', sampleSize: 10 }, { passes: 2 });
+  assert.equal(ofType(events, 'scanned').length, 1);
+  const [schema] = ofType(events, 'schema');
+  assert.equal(schema.data.sql, 'CREATE TABLE "data" ("id" INTEGER, "score" REAL, "late" TEXT)');
+  assert.ok(!events.some(event => event.type === 'log' && event.data.message.startsWith('Added new column')));
+  assert.deepEqual(query(db, 'SELECT COUNT(*), COUNT("late") FROM "data"'), [[1000, 990]]);
+});
+
+test('rows appended after a full scan may leave out columns it never saw null', async () => {
+  const first = await convert('{"a":1}\n{"a":2}\n', { schemaScan: 'full' }, { passes: 2 });
+  const { events, db } = await convert('{"a":3}\n{"b":7}\n', {}, { existing: first.db.export() });
+  assert.equal(ofType(events, 'error').length, 0);
+  assert.deepEqual(query(db, 'SELECT "a", "b" FROM "data" ORDER BY rowid'), [[1, null], [2, null], [3, null], [null, 7]]);
+});
+
+test('the schema review preselects NOT NULL on columns a full scan never saw null', async () => {
+  let proposed;
+  const review = columns => (proposed = columns);
+  await convert(JSON.stringify(lateKeyRows), { schemaScan: 'full', reviewSchema: true }, { passes: 2, review });
+  assert.deepEqual(proposed.map(col => [col.name, col.notNull]), [['id', true], ['score', true], ['late', false]]);
+});
+
+test('a reservoir schema scan samples past the head of the file', async () => {
+  const { events } = await convert(JSON.stringify(lateKeyRows), { schemaScan: 'reservoir', sampleSize: 10 }, { passes: 2 });
+  const [schema] = ofType(events, 'schema');
+  // Ten sampled records all from the head would take odds of 1 in C(1000, 10)
+  assert.deepEqual(schema.data.columns, ['id', 'score', 'late']);
+  assert.match(schema.data.sql, /"score" REAL/);
+});
+
+test('a cancelled schema scan stores nothing', async () => {
+  const { events, db } = await convert(JSON.stringify(lateKeyRows), { schemaScan: 'full' }, { passes: 2, cancelScan: true });
+  assert.equal(ofType(events, 'complete').length, 1);
+  assert.deepEqual(query(db, "SELECT name FROM sqlite_master WHERE type = 'table'"), []);
+});